@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { main } from '../lib/cli.mjs';
+import process from 'node:process';
+
+process.exitCode = await main(process.argv.slice(2));
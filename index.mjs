@@ -1,16 +1,79 @@
+import { attachReporters } from './lib/reporters.mjs';
+import { BisectError, ExpectedFailureFileError, InvalidOptionError, MissingTest262DirectoryError, NoTestsFoundError } from './lib/errors.mjs';
 import color from 'ansi-colors';
+import { compareWithBaseline, readBaseline, writeBaseline } from './lib/baseline.mjs';
+import { compareTestPaths, createSeed, getShardIndex, shuffle, validateOrder } from './lib/order.mjs';
+import { createBisection } from './lib/bisect.mjs';
+import { createCoverageCollector } from './lib/coverage.mjs';
+import { createTestExecutor, getIncludes, isModuleTest, MODE_SUFFIX_REGEX, NON_STRICT_MODE_SUFFIX, STRICT_MODE_SUFFIX } from './lib/executor.mjs';
+import { EventEmitter } from 'node:events';
+import { findDifferences, NATIVE_IMPLEMENTATION } from './lib/compare.mjs';
 import fs from 'node:fs';
+import { getEnvironmentFilename, getEnvironmentName, validateEnvironment, withTimeZone } from './lib/environment.mjs';
 import globSync from 'tiny-glob/sync.js';
+import { MODULES_AVAILABLE } from './lib/modules.mjs';
+import os from 'node:os';
 import path from 'node:path';
 import process from 'node:process';
-import ProgressBar from 'progress';
-import util from 'node:util';
-import vm from 'node:vm';
+import { runInChildProcesses, runInWorkers } from './lib/pool.mjs';
+import { watch } from './lib/watch.mjs';
 import yaml from 'js-yaml';
 
+export {
+  BaselineError,
+  BisectError,
+  ExpectedFailureFileError,
+  InvalidOptionError,
+  MissingTest262DirectoryError,
+  NoTestsFoundError,
+  Test262RunnerError,
+  UnsupportedPolyfillError
+} from './lib/errors.mjs';
 
 const UTF8 = { encoding: 'utf-8' };
 
+// Stands in for the feature in the breakdown of skipped tests, for tests that
+// were skipped because they don't use any of the features in includeFeatures
+const NOT_INCLUDED_FEATURE = '(none of includeFeatures)';
+
+// Options that compareTest262() doesn't use, either because it replaces them
+// or because they would make the implementations run different tests
+const IGNORED_COMPARISON_OPTIONS = [
+  'polyfillCodeFile',
+  'polyfillIsModule',
+  'expectedFailureFiles',
+  'updateExpectedFailureFiles',
+  'addNewFailuresTo',
+  'maxFailures',
+  'matrix',
+  'baseline',
+  'saveBaseline',
+  'onlyFailOnRegressions',
+  'coverage',
+  'coverageDir',
+  'coveragePerTest'
+];
+
+// Options that bisectTest262() doesn't use, since it runs a single test and
+// only looks at whether it fails
+const IGNORED_BISECT_OPTIONS = [
+  'testGlobs',
+  'expectedFailureFiles',
+  'updateExpectedFailureFiles',
+  'addNewFailuresTo',
+  'maxFailures',
+  'includeFeatures',
+  'excludeFeatures',
+  'matrix',
+  'baseline',
+  'saveBaseline',
+  'onlyFailOnRegressions',
+  'coverage',
+  'coverageDir',
+  'coveragePerTest',
+  'shard'
+];
+
 /**
  * Temporal Test262 runner
  *
@@ -30,18 +93,26 @@ const UTF8 = { encoding: 'utf-8' };
  *   reading and parsing the whole file once for each test like the prelude
  *   option of `test262-harness` does.
  *
- * For code coverage, set the environment variable `NODE_V8_COVERAGE` to the
- * path (relative to the working directory) where coverage metrics should be
- * output. These can be processed with the [`c8`](https://github.com/bcoe/c8)
+ * For code coverage of the polyfill, use the `coverage` option, which writes
+ * lcov and JSON reports. Setting the environment variable `NODE_V8_COVERAGE`
+ * also still works, for processing with the [`c8`](https://github.com/bcoe/c8)
  * tool. NOTE: as of Node 18.7 there is a memory leak that makes it impossible
- * to run the entire suite with NODE_V8_COVERAGE, so for code coverage tests you
- * should run it in chunks.
+ * to run the entire suite with NODE_V8_COVERAGE in one process, so in that
+ * case you should use the `isolate` option, which runs the tests in chunks in
+ * child processes.
  *
  * @typedef {Object} Options
  * @property {string} polyfillCodeFile Filename of the Temporal polyfill. Must
  *   be a single ECMAScript file that contains the Temporal object injected into
  *   the global namespace, as well as Temporal-related changes polyfilled into
- *   `Intl` and `Date` built-in objects.
+ *   `Intl` and `Date` built-in objects. Alternatively, it can be an ES module
+ *   that installs `globalThis.Temporal`, and may import other files with
+ *   relative imports. ES module polyfills can only be run by
+ *   `runTest262Async()`. They need `vm.SourceTextModule`, so unless Node was
+ *   started with `--experimental-vm-modules`, the tests are run in a worker
+ *   thread even if `workers` is 1.
+ * @property {boolean=} polyfillIsModule Whether `polyfillCodeFile` is an ES
+ *   module. Default is true if its name ends in `.mjs`.
  * @property {string} test262Dir Root directory of the test262 submodule repo.
  * @property {string[]=} testGlobs If omitted, all Temporal tests will be run.
  *   This option provides glob patterns that specify a subset of tests to be
@@ -53,12 +124,16 @@ const UTF8 = { encoding: 'utf-8' };
  * @property {string[]=} expectedFailureFiles Optional array of text filenames
  *   that each contain a list of test files (relative to the `test` subdirectory
  *   of `test262Dir`) that are expected to fail. Lines starting with `#` and
- *   blank lines are ignored. Lines from multiple files will be concatenated and
- *   de-duped. Example:
+ *   blank lines are ignored, and a line may end with a reason after a `#`.
+ *   Lines from multiple files will be concatenated and de-duped. Tests without
+ *   the `raw`, `onlyStrict`, or `noStrict` flags are run in both strict and
+ *   non-strict mode; a line applies to both runs unless it is suffixed with
+ *   ` (strict mode)` or ` (non-strict mode)`. Example:
  *   ```
  *   # https://github.com/tc39/test262/pull/3548
  *   built-ins/Temporal/Duration/compare/argument-string-negative-fractional-units.js
- *   built-ins/Temporal/Duration/from/argument-string-negative-fractional-units.js
+ *   built-ins/Temporal/Duration/from/argument-string-negative-fractional-units.js (strict mode)
+ *   built-ins/Temporal/Duration/prototype/round/relativeto-string.js  # https://github.com/tc39/test262/pull/3612
  *   ```
  * @property {number|string=2000} timeoutMsecs Optional number of milliseconds
  *   to allow tests to run before they'll be terminated. This ensures that
@@ -72,19 +147,122 @@ const UTF8 = { encoding: 'utf-8' };
  * @property {boolean=} updateExpectedFailureFiles Used in local development to
  *   automatically revise expected-failure files after making code changes that
  *   fix test failures, removing tests that were expected to fail but now pass
- *   from the expected-failure files. This option does not add newly failing
- *   tests to the expected-failure files - this must be done manually.
+ *   from the expected-failure files. Comments, blank lines, and the order of
+ *   the remaining lines are kept. To add newly failing tests, use
+ *   `addNewFailuresTo`.
+ * @property {string=} addNewFailuresTo Filename of an expected-failure file
+ *   (usually one of `expectedFailureFiles`) to which tests that fail
+ *   unexpectedly are added, sorted, under a `#` comment with today's date. The
+ *   file is created if it doesn't exist. Useful after updating test262.
  * @property {number=} maxFailures Whether to stop executing test files after a
  *   certain number of failures have been reached. Useful for preventing your
  *   console from becoming overwhelmed.
  * @property {boolean=} fullPath Whether to print out the absolute file paths
  *   of test files in reports.
+ * @property {Array<string|[string, Object]|Object>=} reporters How to report
+ *   the results. Each item is the name of a built-in reporter (`'console'`,
+ *   `'json'`, `'junit'`, or `'tap'`), a `[name, options]` pair such as
+ *   `['junit', { outputFile: 'results.xml' }]`, or a custom reporter object.
+ *   See lib/reporters.mjs for details. Default is `['console']`.
+ * @property {string[]=} includeFeatures If given, only tests that list at
+ *   least one of these features in the `features` of their frontmatter will be
+ *   run. Example: `['Temporal', 'BigInt']`
+ * @property {string[]=} excludeFeatures Tests that list any of these features
+ *   in the `features` of their frontmatter will not be run. Useful for features
+ *   that the host Node version doesn't support. Example:
+ *   `['Array.fromAsync', 'explicit-resource-management']`
+ * @property {string=} timeZone Default time zone of the tests, as an IANA time
+ *   zone identifier. Since it can only be set for the whole process, it is set
+ *   through the `TZ` environment variable while the tests run. Default is the
+ *   host's time zone.
+ * @property {string=} locale Default locale of the tests, as a BCP 47 language
+ *   tag. `Intl` constructors and `toLocaleString()`-style methods use it when
+ *   they are called without a locale. Default is the host's locale.
+ * @property {number|string=} now Time at which the tests' clock is frozen, as
+ *   epoch milliseconds or a string such as `'2020-01-01T00:00Z'`. It is
+ *   returned by `Date.now()` and `new Date()`, and so by the polyfill's
+ *   `Temporal.Now`. Default is the actual time.
+ * @property {boolean=} freezeClock If false, the clock starts at `now` and
+ *   advances in real time, instead of being frozen. Default is true.
+ * @property {Array<{timeZone?: string, locale?: string}>=} matrix If given,
+ *   the tests are run once for each entry, with the entry's time zone and
+ *   locale (falling back to the `timeZone` and `locale` options), and each run
+ *   is reported separately. File reporters write one file per entry, with the
+ *   entry in the filename. Can't be combined with
+ *   `updateExpectedFailureFiles`. Example:
+ *   `[{ timeZone: 'UTC' }, { timeZone: 'America/Vancouver', locale: 'fr-CA' }]`
+ * @property {string=} baseline Filename of a baseline saved by an earlier run
+ *   with `saveBaseline`. The summary lists the tests that fail now but didn't
+ *   then, the tests that have been fixed since, and the tests that have become
+ *   slower. See lib/baseline.mjs for the format. In matrix runs, the
+ *   environment name is inserted into the filename, as for reporters.
+ * @property {string=} saveBaseline Filename to which the status and duration
+ *   of each test is saved after the run, for later runs to compare with. If
+ *   only some of the tests ran, the others keep their results from the
+ *   existing file. It may be the same file as `baseline`.
+ * @property {number=} slowdownThresholdMsecs How many milliseconds longer than
+ *   in the baseline a test must take to be listed as slower. Default is 100.
+ * @property {boolean=} onlyFailOnRegressions If true, the run only counts as
+ *   failed if tests fail that didn't fail in the baseline, as an alternative
+ *   to expected-failure files. Requires `baseline`.
+ * @property {boolean=} isolate Only for `runTest262Async()` and
+ *   `watchTest262()`. If true, the tests run in child processes instead of
+ *   worker threads, so that a test that crashes its process, for example by
+ *   running out of memory, is reported as failed with the exit signal instead
+ *   of ending the whole run. The `workers` option gives the number of child
+ *   processes.
+ * @property {number=} testsPerProcess With `isolate`, the number of tests
+ *   after which a child process is replaced by a new one, so that memory
+ *   leaks don't build up. Default is 500.
+ * @property {number=} maxProcessMemoryMB With `isolate`, the heap size limit of
+ *   each child process in megabytes, as for `--max-old-space-size`.
+ * @property {boolean=} coverage Only for `runTest262Async()` and
+ *   `watchTest262()`. If true, V8's precise coverage of the polyfill is
+ *   collected, and reports of line and function coverage are written to
+ *   `coverageDir` after the run: `lcov.info`, and `coverage-summary.json` in
+ *   the format of Istanbul's json-summary. Implies `isolate`, so that the
+ *   memory that coverage keeps alive is released when each child process is
+ *   replaced. For an ES module polyfill, the files that it imports are
+ *   covered as well.
+ * @property {string=} coverageDir Directory for the coverage reports. Default
+ *   is `coverage`. In matrix runs, the environment name is appended to it.
+ * @property {boolean=} coveragePerTest With `coverage`, also write
+ *   `tests-by-function.json`, which lists the tests that called each function
+ *   of the polyfill, to find out for example which tests exercise
+ *   `Duration.prototype.round`. Functions are identified by name, line, and
+ *   column, as in `"round (4021:3)"`. This takes coverage after every test,
+ *   which makes the run much slower. Functions that run while the polyfill is
+ *   loaded are listed for every test.
+ * @property {EventEmitter=} events If given, the events of the run are emitted
+ *   on it, for embedding the runner in other tools: `warning`, `runStart`,
+ *   `testStart`, `testResult`, `expectedFailureMismatch`, and `runEnd`. See
+ *   lib/reporters.mjs for their arguments. The reporters are listeners for the
+ *   same events, so pass `reporters: []` to leave the output to the listeners.
+ * @property {AbortSignal=} signal Aborts the run: no more tests are started,
+ *   tests that are already running are allowed to finish, and the others are
+ *   recorded as skipped. The run still emits `runEnd`, but doesn't change
+ *   expected-failure files or save a baseline, and then throws the signal's
+ *   reason. Since `runTest262()` runs synchronously, it can only be aborted
+ *   from a listener. `watchTest262()` quits when the signal is aborted.
+ * @property {{index: number, total: number}=} shard Only run one of `total`
+ *   shards of the tests, numbered from 1, for splitting a run across CI jobs.
+ *   Tests are assigned to shards by a hash of their path, so the shards don't
+ *   change when test262 adds other tests. Entries of expected-failure files
+ *   whose test doesn't exist are reported by one shard only.
+ * @property {boolean=} randomOrder Run the tests in random order, to find tests
+ *   that depend on each other. They are still reported in order. The seed is
+ *   printed, so that the order can be reproduced with the `seed` option.
+ * @property {number=} seed Run the tests in the random order given by this
+ *   seed, an integer from 0 to 2^32 - 1. Implies `randomOrder`.
  *
  * @param {Options} options Object with the following properties:
  *   - `polyfillCodeFile: string` - Filename of the Temporal polyfill. Must be a
  *     single ECMAScript file that contains the Temporal object injected into
  *     the global namespace, as well as Temporal-related changes polyfilled into
- *     `Intl` and `Date` built-in objects.
+ *     `Intl` and `Date` built-in objects, or an ES module that installs
+ *     `globalThis.Temporal`.
+ *   - `polyfillIsModule?: boolean` - Whether the polyfill is an ES module.
+ *     Default is true if its name ends in `.mjs`.
  *   - `test262Dir: string` - Root directory of the test262 submodule repo
  *   - `testGlobs?: string[]` - If omitted, all Temporal tests will be run. This
  *     option provides glob patterns that specify a subset of tests to be run.
@@ -97,7 +275,9 @@ const UTF8 = { encoding: 'utf-8' };
  *     each contain a list of test files (relative to the `test` subdirectory of
  *     `test262Dir`) that are expected to fail. Lines starting with `#` and
  *     blank lines are ignored. Lines from multiple files will be concatenated
- *     and de-duped.
+ *     and de-duped. Lines may be suffixed with ` (strict mode)` or
+ *     ` (non-strict mode)` to apply to only one mode of the test, and may end
+ *     with a reason after a `#`.
  *   - `timeoutMsecs?: number|string` - Optional number of milliseconds to allow
  *     tests to run before they'll be terminated. This ensures that
  *     infinite-loop (or super-long) tests won't prevent others from completing.
@@ -110,30 +290,452 @@ const UTF8 = { encoding: 'utf-8' };
  *  - `updateExpectedFailureFiles`: boolean - Used in local development to
  *     automatically revise expected-failure files after making code changes that
  *     fix test failures, removing tests that were expected to fail but now pass
- *     from the expected-failure files. This option does not add newly failing
- *     tests to the expected-failure files - this must be done manually.
+ *     from the expected-failure files. Comments, blank lines, and the order of
+ *     the remaining lines are kept.
+ *  - `addNewFailuresTo?: string` - Expected-failure file to which tests that
+ *     fail unexpectedly are added, under a `#` comment with today's date.
  *  - `maxFailures?: number` - Whether to stop executing test files after a
  *     certain number of failures have been reached. Useful for preventing your
  *     console from becoming overwhelmed.
  *  - `fullPath?: boolean` - Whether to print out the absolute file paths
  *     of test files in reports.
+ *  - `reporters?: Array<string|[string, Object]|Object>` - How to report the
+ *     results. Default is `['console']`, the progress bar and summary.
+ *  - `includeFeatures?: string[]` - If given, only tests that use at least one
+ *     of these features are run.
+ *  - `excludeFeatures?: string[]` - Tests that use any of these features are
+ *     not run.
+ *  - `timeZone?: string` - Default time zone of the tests.
+ *  - `locale?: string` - Default locale of the tests.
+ *  - `now?: number|string` - Time at which the tests' clock is frozen.
+ *  - `freezeClock?: boolean` - If false, the clock advances from `now`.
+ *  - `matrix?: Array<{timeZone?: string, locale?: string}>` - Run the tests
+ *     once for each of these time zone and locale pairs.
+ *  - `baseline?: string` - Baseline file to compare the results with.
+ *  - `saveBaseline?: string` - File to save the results to, as a baseline.
+ *  - `slowdownThresholdMsecs?: number` - How much slower than in the baseline
+ *     a test must be to be reported. Default is 100.
+ *  - `onlyFailOnRegressions?: boolean` - Only fail if tests fail that didn't
+ *     fail in the baseline.
+ *  - `isolate?: boolean`, `testsPerProcess?: number`,
+ *    `maxProcessMemoryMB?: number` - Only for `runTest262Async()`.
+ *  - `coverage?: boolean`, `coverageDir?: string`,
+ *    `coveragePerTest?: boolean` - Only for `runTest262Async()`.
+ *  - `events?: EventEmitter` - Emitter on which to emit the run's events.
+ *  - `signal?: AbortSignal` - Signal that aborts the run.
+ *  - `shard?: {index: number, total: number}` - Only run this shard of the
+ *     tests.
+ *  - `randomOrder?: boolean`, `seed?: number` - Run the tests in random order.
+ *  Tests filtered out by features are counted as skipped, broken down by
+ *  feature.
+ *  Tests with the `module` flag are skipped by `runTest262()`, since modules
+ *  are loaded asynchronously. `runTest262Async()` runs them.
  * @returns {boolean} `true` if all tests completed as expected, `false` if not.
+ * @throws {MissingTest262DirectoryError} If `test262Dir` has no `test`
+ *   subdirectory.
+ * @throws {NoTestsFoundError} If no test files matched.
+ * @throws {UnsupportedPolyfillError} If the polyfill is an ES module.
+ * @throws {InvalidOptionError} If the time zone, locale, time, matrix, shard,
+ *   seed, or a reporter is not valid, if `onlyFailOnRegressions` is given
+ *   without `baseline`, or if `isolate` or `coverage` is given.
+ * @throws {ExpectedFailureFileError} If an expected-failure file can't be
+ *   read.
+ * @throws {BaselineError} If the baseline can't be read.
+ * @throws {*} The reason of the signal, usually a DOMException named
+ *   `AbortError`, if the run was aborted.
+ */
+export default function runTest262(options) {
+  for (const option of ['isolate', 'coverage']) {
+    if (options[option]) throw new InvalidOptionError(`${option} can only be used with runTest262Async()`);
+  }
+  let passed = true;
+  for (const { options: runOptions, environmentName } of expandMatrix(options)) {
+    const run = prepareRun(runOptions, { environmentName });
+    withTimeZone(run.timeZone, () => runInProcess(run));
+    passed = run.finish() && passed;
+  }
+  return passed;
+}
+
+/**
+ * Asynchronous version of `runTest262()`, which can split the tests across
+ * worker threads. In addition to the options of `runTest262()`, it accepts:
+ *
+ * @param {Options & { workers?: number }} options
+ *   - `workers?: number` - Number of worker threads to run tests in. Each
+ *     worker pre-parses its own copy of the polyfill. Defaults to the number of
+ *     CPUs. If 1, tests are run in the main thread, which can be more
+ *     convenient for debugging.
+ * @returns {Promise<boolean>} `true` if all tests completed as expected,
+ *   `false` if not.
+ */
+export async function runTest262Async({ workers = defaultWorkerCount(), ...options }) {
+  let passed = true;
+  for (const { options: runOptions, environmentName } of expandMatrix(options)) {
+    passed = (await executeRun(prepareRun(runOptions, { environmentName }), workers)) && passed;
+  }
+  return passed;
+}
+
+/**
+ * Runs the tests like `runTest262Async()`, and then keeps the process alive and
+ * re-runs tests whenever the polyfill, one of the harness files used by the
+ * tests, or one of the tests changes. A change to the polyfill or the harness
+ * re-runs all tests, and a change to a test re-runs only that test. Tests that
+ * failed in the previous run are run first. With the `matrix` option, each
+ * re-run covers all of its entries.
+ *
+ * If stdin is a terminal, keys can be pressed to re-run all tests, re-run only
+ * the failed tests, or switch to different test globs. Options are the same as
+ * for `runTest262Async()`.
+ *
+ * @param {Options & { workers?: number }} options
+ * @returns {Promise<void>} Resolves when the user quits watch mode, or when
+ *   the `signal` option is aborted.
+ */
+export function watchTest262({ workers = defaultWorkerCount(), ...options }) {
+  return watch(async ({ testGlobs, testFiles, runFirst }) => {
+    let run;
+    const failedTestFiles = new Set();
+    const polyfillFiles = new Set();
+    for (const { options: runOptions, environmentName } of expandMatrix({ ...options, testGlobs })) {
+      run = prepareRun(runOptions, { testFiles, runFirst, environmentName });
+      await executeRun(run, workers);
+      run.getFailedTestFiles().forEach((testFile) => failedTestFiles.add(testFile));
+      run.getPolyfillFiles().forEach((polyfillFile) => polyfillFiles.add(polyfillFile));
+    }
+    return {
+      testFiles: run.testFiles,
+      helperFiles: run.helperFiles,
+      polyfillFiles: [...polyfillFiles],
+      failedTestFiles: [...failedTestFiles]
+    };
+  }, { polyfillCodeFile: options.polyfillCodeFile, testGlobs: options.testGlobs ?? [], signal: options.signal });
+}
+
+/**
+ * Runs the tests against several implementations of Temporal, each in its own
+ * VM contexts, and reports the tests whose status differs between them. The
+ * console reporter prints them as a table, with their error messages where
+ * those differ as well. Useful for checking which tests a refactoring changed,
+ * compared with a previous release of the polyfill or with the host's built-in
+ * Temporal.
+ *
+ * Takes the same options as `runTest262Async()`, except for the following:
+ *
+ * @param {Options & { polyfillCodeFiles: string[], workers?: number }} options
+ *   - `polyfillCodeFiles: string[]` - Filenames of the polyfills to compare,
+ *     instead of `polyfillCodeFile`. `'native'` stands for no polyfill, to
+ *     test the Temporal that is built into Node.
+ *  Expected-failure files, `maxFailures`, `matrix`, and the baseline and
+ *  coverage options are ignored, since every test is run with every
+ *  implementation and only their results are compared. The reporters only
+ *  get the `implementationStart` and `comparisonEnd` events. These are
+ *  emitted on `events` as well, along with the events of each
+ *  implementation's run.
+ * @returns {Promise<boolean>} `true` if every test had the same status with
+ *   all implementations, `false` if not.
+ * @throws {InvalidOptionError} If fewer than two implementations are given, or
+ *   if a reporter is not valid.
+ */
+export async function compareTest262({ polyfillCodeFiles, workers = defaultWorkerCount(), ...options }) {
+  if (!polyfillCodeFiles || polyfillCodeFiles.length < 2) {
+    throw new InvalidOptionError('polyfillCodeFiles must list at least two implementations to compare');
+  }
+  const emit = createEmitter(options.reporters, options.events);
+  const commonOptions = { ...options };
+  IGNORED_COMPARISON_OPTIONS.forEach((option) => delete commonOptions[option]);
+
+  const recordsPerImplementation = [];
+  for (const implementation of polyfillCodeFiles) {
+    emit('implementationStart', { implementation });
+    let records;
+    const collector = { runEnd: (summary) => records = summary.records };
+    const implementationOptions = implementation === NATIVE_IMPLEMENTATION
+      ? { polyfillCodeFile: undefined, polyfillIsModule: false }
+      : { polyfillCodeFile: implementation };
+    await executeRun(prepareRun({ ...commonOptions, ...implementationOptions, reporters: [collector] }), workers);
+    recordsPerImplementation.push(records);
+  }
+
+  const differences = findDifferences(recordsPerImplementation);
+  emit('comparisonEnd', { implementations: polyfillCodeFiles, differences, total: recordsPerImplementation[0].length });
+  return differences.length === 0;
+}
+
+/**
+ * Finds the commit that made a test start failing, by bisecting the history of
+ * either the test262 repo or the polyfill's repo between a revision where the
+ * test passes and one where it fails. Each commit is checked out in a
+ * temporary git worktree, leaving the user's checkout alone, and only the
+ * given test is run, against the other repo as it is. Only local git is
+ * needed. The verdict for each commit and the first bad commit are reported,
+ * and the console reporter prints them.
+ *
+ * Takes the same options as `runTest262Async()`, except for the following:
+ *
+ * @typedef {Object} BisectResult
+ * @property {string=} firstBadCommit Full hash of the first commit at which
+ *   the test fails, if it could be found.
+ * @property {string[]} candidates The first bad commit, or if commits had to
+ *   be skipped, all commits that could be the first bad one.
+ *
+ * @param {Options & {
+ *   test: string,
+ *   good: string,
+ *   bad: string,
+ *   bisectRepo?: 'test262'|'polyfill',
+ *   buildCommand?: string
+ * }} options
+ *   - `test: string` - The failing test, relative to the `test` subdirectory
+ *     of `test262Dir` as in expected-failure files. With a ` (strict mode)` or
+ *     ` (non-strict mode)` suffix, only that mode of the test is run.
+ *   - `good: string` - Revision at which the test passes.
+ *   - `bad: string` - Revision at which the test fails. `good` must be one of
+ *     its ancestors.
+ *   - `bisectRepo?: 'test262'|'polyfill'` - Whose history to bisect: the repo
+ *     that contains `test262Dir`, or the one that contains `polyfillCodeFile`.
+ *     Default is `'test262'`.
+ *   - `buildCommand?: string` - Shell command that is run in the root of the
+ *     worktree before testing each commit, such as `'npm run build'`, for a
+ *     polyfill that must be built. Ignored files in the worktree, such as
+ *     `node_modules`, are kept from one commit to the next.
+ *  Commits at which the test doesn't exist, is skipped, or can't be built are
+ *  skipped. Test globs, expected-failure files, `maxFailures`, the feature
+ *  filters, `matrix`, `shard`, and the baseline and coverage options are
+ *  ignored. The reporters only get the `bisectStart`, `bisectVerdict`, and
+ *  `bisectEnd` events. These are emitted on `events` as well, along with the
+ *  events of the run at each commit.
+ * @returns {Promise<BisectResult>}
+ * @throws {InvalidOptionError} If `test`, `good`, or `bad` is missing,
+ *   `bisectRepo` isn't valid, or a reporter is not valid.
+ * @throws {BisectError} If a git command fails, the revisions can't be found,
+ *   `good` isn't an ancestor of `bad`, or the test doesn't pass at `good` and
+ *   fail at `bad`.
  */
-export default function runTest262({
+export async function bisectTest262({ test, good, bad, bisectRepo = 'test262', buildCommand, ...options }) {
+  for (const [name, value] of Object.entries({ test, good, bad })) {
+    if (!value) throw new InvalidOptionError(`${name} is required for bisecting`);
+  }
+  if (bisectRepo !== 'test262' && bisectRepo !== 'polyfill') {
+    throw new InvalidOptionError(`bisectRepo must be 'test262' or 'polyfill', got "${bisectRepo}"`);
+  }
+  const commonOptions = { ...options };
+  IGNORED_BISECT_OPTIONS.forEach((option) => delete commonOptions[option]);
+  const { test262Dir, polyfillCodeFile } = commonOptions;
+  const testRelPath = test.replace(MODE_SUFFIX_REGEX, '');
+  const modeSuffix = MODE_SUFFIX_REGEX.exec(test)?.[0].trim();
+  const strictMode = modeSuffix === STRICT_MODE_SUFFIX;
+
+  const emit = createEmitter(options.reporters, options.events);
+  const bisection = createBisection(bisectRepo === 'test262' ? test262Dir : path.dirname(path.resolve(polyfillCodeFile)), { good, bad });
+
+  // Runs the test at the commit that the worktree has checked out, and
+  // decides whether the commit is good or bad, or has to be skipped
+  async function testCommit() {
+    const commitOptions = { ...commonOptions };
+    if (bisectRepo === 'test262') {
+      commitOptions.test262Dir = bisection.getWorktreePath(test262Dir);
+    } else {
+      commitOptions.polyfillCodeFile = bisection.getWorktreePath(polyfillCodeFile);
+      const buildFailure = buildCommand && bisection.build(buildCommand);
+      if (buildFailure) return { verdict: 'skip', reason: buildFailure };
+      if (!fs.existsSync(commitOptions.polyfillCodeFile)) return { verdict: 'skip', reason: 'polyfill not found' };
+    }
+    const testFile = path.join(commitOptions.test262Dir, 'test', testRelPath);
+    if (!fs.existsSync(testFile)) return { verdict: 'skip', reason: 'test not found' };
+
+    let records;
+    const collector = { runEnd: (summary) => records = summary.records };
+    try {
+      await executeRun(prepareRun({ ...commitOptions, reporters: [collector] }, { testFiles: [testFile] }), 1);
+    } catch (e) {
+      // For example, a polyfill that can't be parsed
+      if (commonOptions.signal?.aborted) throw e;
+      return { verdict: 'skip', reason: e.message };
+    }
+    records = records.filter(({ strict }) => !modeSuffix || strict === strictMode);
+    const ran = records.filter(({ status }) => status !== 'skipped');
+    if (ran.length === 0) return { verdict: 'skip', reason: records[0]?.skipReason ?? `test doesn't run in ${modeSuffix}` };
+    const failure = ran.find(({ status }) => status === 'fail' || status === 'timeout');
+    if (!failure) return { verdict: 'good' };
+    return { verdict: 'bad', reason: failure.status === 'timeout' ? 'timed out' : failure.error?.message };
+  }
+
+  try {
+    emit('bisectStart', { repo: bisectRepo, test, good, bad });
+    // Bisecting only makes sense if the endpoints behave as given
+    const endpoints = [
+      { commit: bisection.bad, revision: bad, expected: 'bad', action: 'fail' },
+      { commit: bisection.good, revision: good, expected: 'good', action: 'pass' }
+    ];
+    for (const { commit, revision, expected, action } of endpoints) {
+      bisection.checkout(commit);
+      const result = await testCommit();
+      emit('bisectVerdict', { commit, description: bisection.describe(commit), ...result });
+      if (result.verdict !== expected) {
+        throw new BisectError(`${test} doesn't ${action} at the ${expected} revision ${revision}` + (result.reason ? `: ${result.reason}` : ''));
+      }
+    }
+
+    let step = bisection.start();
+    while (!step.candidates) {
+      const result = await testCommit();
+      emit('bisectVerdict', { commit: step.commit, description: bisection.describe(step.commit), ...result });
+      step = bisection.mark(result.verdict);
+    }
+    const candidates = step.candidates.map((commit) => ({ commit, description: bisection.describe(commit) }));
+    emit('bisectEnd', { repo: bisectRepo, candidates });
+    return { firstBadCommit: step.candidates.length === 1 ? step.candidates[0] : undefined, candidates: step.candidates };
+  } finally {
+    bisection.remove();
+  }
+}
+
+function defaultWorkerCount() {
+  return os.availableParallelism?.() ?? os.cpus().length;
+}
+
+// Returns a function that emits an event to the reporters and on the caller's
+// emitter. Reporters listen on an emitter of their own, so that they don't stay
+// attached to the caller's emitter afterwards.
+function createEmitter(reporters, events) {
+  const ownEvents = new EventEmitter();
+  attachReporters(ownEvents, reporters);
+  return (event, data) => {
+    ownEvents.emit(event, data);
+    events?.emit(event, data);
+  };
+}
+
+// Returns the options for each run: one for each entry of the matrix option,
+// with the name of the entry for the reports, or just the given options if
+// there is no matrix. All entries are checked before any tests run.
+function expandMatrix({ matrix, ...options }) {
+  if (!matrix) return [{ options }];
+  if (matrix.length === 0) throw new InvalidOptionError('matrix must have at least one entry');
+  if (options.updateExpectedFailureFiles) {
+    // A test that passes in one entry may still fail in another
+    throw new InvalidOptionError('updateExpectedFailureFiles can\'t be used with matrix');
+  }
+  return matrix.map(({ timeZone = options.timeZone, locale = options.locale }) => {
+    validateEnvironment({ timeZone, locale });
+    return { options: { ...options, timeZone, locale }, environmentName: getEnvironmentName({ timeZone, locale }) };
+  });
+}
+
+// Runs the tests prepared by prepareRun(), either in the current thread or in
+// worker threads, and prints the summary. If modules are needed but the current
+// thread can't load them, a single worker thread is used instead, since worker
+// threads are always started with the flag that enables vm.SourceTextModule.
+// Worker threads are started after the time zone is set, and use it as well.
+// In isolation mode, the tests always run in child processes.
+async function executeRun(run, workers) {
+  const needsModules = run.executorOptions.polyfillIsModule || run.testRuns.some(({ frontmatter }) => isModuleTest(frontmatter));
+  await withTimeZone(run.timeZone, async () => {
+    if (!run.isolation && workers <= 1 && (MODULES_AVAILABLE || !needsModules)) {
+      await runInProcessAsync(run);
+    } else {
+      const runInParallel = run.isolation ? runInChildProcesses : runInWorkers;
+      const notStarted = await runInParallel(run.testRuns, {
+        workers: Math.max(workers, 1),
+        ...run.isolation,
+        executorOptions: run.executorOptions,
+        shouldStop: run.shouldStop,
+        onTestStart: run.recordStart,
+        onResult: run.recordResult,
+        onPolyfillFiles: run.recordPolyfillFiles
+      });
+      notStarted.forEach((testRun) => run.recordSkipped(testRun));
+    }
+  });
+  return run.finish();
+}
+
+// Runs all tests in the current thread, sharing one pre-parsed polyfill. Module
+// tests are skipped, since they can't run synchronously.
+function runInProcess(run) {
+  const { runTest } = createTestExecutor({ ...run.executorOptions, sync: true });
+  for (const testRun of run.testRuns) {
+    // Skip test if over the max-failure limit
+    if (run.shouldStop()) {
+      run.recordSkipped(testRun);
+      continue;
+    }
+    run.recordStart(testRun);
+    run.recordResult(testRun, runTest(testRun));
+  }
+}
+
+// Same as runInProcess(), but can also run module tests and module polyfills
+async function runInProcessAsync(run) {
+  const { runTest, getPolyfillSources } = createTestExecutor(run.executorOptions);
+  for (const testRun of run.testRuns) {
+    if (run.shouldStop()) {
+      run.recordSkipped(testRun);
+      continue;
+    }
+    run.recordStart(testRun);
+    run.recordResult(testRun, await runTest(testRun));
+  }
+  run.recordPolyfillFiles([...getPolyfillSources().keys()]);
+}
+
+// Does everything except actually running the tests: collects the test files,
+// and returns functions for recording the result of each test and printing the
+// summary at the end, regardless of which thread the tests ran in.
+// Watch mode can instead give an explicit list of test files to run, and a Set
+// of test files to run before the others. In a matrix run, environmentName
+// identifies the entry in the reports.
+function prepareRun({
   test262Dir,
-  testGlobs,
+  testGlobs = [],
   polyfillCodeFile,
+  polyfillIsModule = polyfillCodeFile.endsWith('.mjs'),
   expectedFailureFiles,
   timeoutMsecs,
   updateExpectedFailureFiles,
+  addNewFailuresTo,
   maxFailures,
-  fullPath
-}) {
+  fullPath,
+  reporters,
+  includeFeatures,
+  excludeFeatures,
+  timeZone,
+  locale,
+  now,
+  freezeClock,
+  baseline,
+  saveBaseline,
+  slowdownThresholdMsecs = 100,
+  onlyFailOnRegressions,
+  isolate,
+  testsPerProcess = 500,
+  maxProcessMemoryMB,
+  coverage,
+  coverageDir = 'coverage',
+  coveragePerTest,
+  events,
+  signal,
+  shard,
+  randomOrder,
+  seed
+}, { testFiles: explicitTestFiles, runFirst = new Set(), environmentName } = {}) {
   // Default timeout is 2 seconds. Set a longer timeout for running tests under
   // a debugger.
   timeoutMsecs = parseInt(timeoutMsecs);
   if (typeof timeoutMsecs === 'undefined' || isNaN(timeoutMsecs)) timeoutMsecs = 2000;
 
+  const environment = validateEnvironment({ timeZone, locale, now, freezeClock });
+  if (onlyFailOnRegressions && !baseline) {
+    throw new InvalidOptionError('onlyFailOnRegressions needs a baseline to compare with');
+  }
+  validateOrder({ shard, seed });
+  // A seed implies random order. Without one, a new seed is chosen and
+  // reported, so that the order can be reproduced.
+  if (randomOrder && seed === undefined) seed = createSeed();
+  signal?.throwIfAborted();
+
   // In the test262 repo, the actual tests are contained in a /test directory
   const testSubdirectory = path.resolve(test262Dir, 'test');
 
@@ -142,74 +744,64 @@ export default function runTest262({
 
   // === Utilities and constants ===
 
-  function print(str) {
-    process.stdout.write(str + '\n');
-  }
-
   // Fancy output only if stdout is a terminal
   color.enabled = process.stdout.isTTY;
 
+  const emit = createEmitter(reporters, events);
+
   // Front matter consists of a YAML document in between /*--- and ---*/
   const frontmatterMatcher = /\/\*---\n(.*)---\*\//ms;
 
   const GLOB_OPTS = { filesOnly: true };
 
-  // EX_NOINPUT -- An input file (not a system file) did not exist or was not readable.
-  const EX_NOINPUT = 66;
-
   // === Preparation ===
 
-  // Prepare Temporal polyfill. This vm.Script gets executed once for each test,
-  // in a fresh VM context.
-
-  const polyfillCode = fs.readFileSync(polyfillCodeFile, UTF8);
-  const polyfill = new vm.Script(polyfillCode, { filename: path.resolve(polyfillCodeFile) });
-
   let expectedFailureLists = new Map();
   if (expectedFailureFiles) {
     for (const expectedFailureFile of expectedFailureFiles) {
       // Read the expected failures file and put the paths into a Set
-      const files = new Set(fs
-        .readFileSync(expectedFailureFile, UTF8)
+      let contents;
+      try {
+        contents = fs.readFileSync(expectedFailureFile, UTF8);
+      } catch (e) {
+        throw new ExpectedFailureFileError(expectedFailureFile, e.message);
+      }
+      const files = new Set(contents
         .split(/\r?\n/g)
-        .filter((line) => line && line[0] !== '#'));
+        .map((line) => parseExpectedFailureLine(line)?.entry)
+        .filter(Boolean));
       expectedFailureLists.set(expectedFailureFile, files);
     }
   }
 
-  // This function returns a list of any expected-failure files that mention the
-  // given test filename, or undefined if no lists reference the given filename.
-  function getRelevantExpectedFailureLists(testFile) {
+  // This function returns a list of { list, entry } objects for any
+  // expected-failure files that mention the given test filename, or undefined
+  // if no lists reference the given filename. An entry with only the filename
+  // applies to the test in all modes, and an entry suffixed with
+  // "(strict mode)" or "(non-strict mode)" applies only to that mode.
+  function getRelevantExpectedFailureLists(testRelPath, strict) {
+    const entries = [testRelPath, `${testRelPath} ${strict ? STRICT_MODE_SUFFIX : NON_STRICT_MODE_SUFFIX}`];
     const ret = [];
     for (const [expectedFailureFile, expectedFailureTestsSet] of expectedFailureLists) {
-      if (expectedFailureTestsSet.has(testFile)) ret.push(expectedFailureFile);
+      for (const entry of entries) {
+        if (expectedFailureTestsSet.has(entry)) ret.push({ list: expectedFailureFile, entry });
+      }
     }
     return ret.length > 0 ? ret : undefined;
   }
 
-  // This function reads in a test262 harness helper file, specified in 'includes'
-  // in the frontmatter, and caches the resulting vm.Script so it can be used in
-  // future tests that also include it.
-
-  const helpersCache = new Map();
-  function getHelperScript(includeName) {
-    if (helpersCache.has(includeName)) return helpersCache.get(includeName);
-
-    const includeFile = path.join(test262Dir, 'harness', includeName);
-    const includeCode = fs.readFileSync(includeFile, UTF8);
-    const include = new vm.Script(includeCode, {filename: path.resolve(includeFile)});
-
-    helpersCache.set(includeName, include);
-    return include;
-  }
+  const baselineFile = baseline && getEnvironmentFilename(baseline, environmentName);
+  const baselineTests = baselineFile && readBaseline(baselineFile);
 
   // Weed out common error case for people who have just cloned the repo
-  if (!fs.statSync(testSubdirectory).isDirectory()) {
-    print(color.yellow("Missing Test262 directory. Try initializing the submodule with 'git submodule update --init'"));
-    process.exit(EX_NOINPUT);
+  if (!fs.statSync(testSubdirectory, { throwIfNoEntry: false })?.isDirectory()) {
+    throw new MissingTest262DirectoryError(testSubdirectory);
   }
 
-  const globResults = testGlobs.flatMap((testGlob) => {
+  // Whether all Temporal tests are run, as opposed to a subset of them
+  const isFullRun = !explicitTestFiles && testGlobs.length === 0;
+
+  const globResults = explicitTestFiles ? [...explicitTestFiles] : testGlobs.flatMap((testGlob) => {
     let result = globSync(path.resolve(testSubdirectory, `**/Temporal/${testGlob}`), GLOB_OPTS);
 
     // Fall back to globbing relative to working directory if that didn't match
@@ -220,12 +812,12 @@ export default function runTest262({
 
     result = result.filter((name) => name.endsWith('.js'));
     if (result.length === 0) {
-      print(color.yellow(`No test files found for pattern: "${testGlob}"`));
+      emit('warning', { message: `No test files found for pattern: "${testGlob}"` });
     }
     return result;
   });
 
-  if (testGlobs.length === 0) {
+  if (isFullRun) {
     [
       path.resolve(testSubdirectory, '**/Temporal/**/*.js'),
       path.resolve(testSubdirectory, 'intl402/DateTimeFormat/**/*.js'),
@@ -235,251 +827,409 @@ export default function runTest262({
     ].forEach((defaultGlob) => globResults.push(...globSync(defaultGlob, GLOB_OPTS)));
   }
 
-  const testFiles = new Set(globResults);
-  const total = testFiles.size;
-  if (total === 0) {
-    print('Nothing to do.');
-    process.exit(EX_NOINPUT);
+  // Files imported by module tests are not tests themselves. The files are
+  // sorted by path, so that the order doesn't depend on the file system.
+  const allTestFiles = [...new Set(globResults.filter((testFile) => !testFile.endsWith('_FIXTURE.js')))]
+    .map((testFile) => ({ testFile, testRelPath: path.relative(testSubdirectory, testFile) }))
+    .sort((a, b) => compareTestPaths(a.testRelPath, b.testRelPath));
+  if (allTestFiles.length === 0) {
+    throw new NoTestsFoundError();
   }
+  // A shard may be left with no tests, if there are only a few
+  const testFiles = new Set(allTestFiles
+    .filter(({ testRelPath }) => !shard || getShardIndex(testRelPath, shard.total) === shard.index)
+    .map(({ testFile }) => testFile));
 
-  // Set up progress bar; don't print one if stdout isn't a terminal, instead use
-  // a mock object. (You can force that case by piping the output to cat)
-  let progress;
-  if (process.stdout.isTTY) {
-    progress = new ProgressBar(':bar :percent (:current/:total) | :etas | :test', {
-      total,
-      complete: '\u2588',
-      incomplete: '\u2591',
-      width: 20,
-      stream: process.stdout,
-      renderThrottle: 50,
-      clear: true
-    });
-  } else {
-    progress = new (class FakeProgressBar {
-      #done = 0;
-
-      tick(delta = 1) {
-        this.#done += delta;
-        // Do print _something_ every 100 tests, so that there is something to
-        // look at in the CI while it is in progress.
-        if (delta && this.#done % 100 === 0) {
-          const elapsed = Number(process.hrtime.bigint() - start) / 1_000_000_000;
-          print(`${this.#done} tests completed in ${elapsed.toFixed(1)} seconds.`);
-        }
-      }
+  // Read each test file and its frontmatter, and determine which modes it
+  // should run in. As per the test262 execution instructions, tests without
+  // any of the raw, onlyStrict, or noStrict flags run twice, once in strict
+  // mode and once in non-strict mode.
+  const testRuns = [];
+  for (const testFile of testFiles) {
+    let testCode = fs.readFileSync(testFile, UTF8);
+    // testRelPath matches what is given in the expected failures file.
+    const testRelPath = path.relative(testSubdirectory, testFile);
+
+    // Include a sourceURL so that when tests are run in a debugger they can be
+    // found using the names listed in the expected-failures-style files.
+    testCode += `\n//# sourceURL=file://${testFile}`;
 
-      interrupt() {}
-    })();
+    const frontmatterString = frontmatterMatcher.exec(testCode)?.[1] ?? '';
+    const frontmatter = yaml.load(frontmatterString) ?? {};
+    const { flags = [] } = frontmatter;
+
+    // Module code is always strict, so module tests only run once
+    const runStrict = !flags.includes('raw') && !flags.includes('noStrict') && !flags.includes('module');
+    const runNonStrict = !flags.includes('onlyStrict');
+    if (runNonStrict) testRuns.push({ testFile, testRelPath, testCode, frontmatter, strict: false });
+    if (runStrict) testRuns.push({ testFile, testRelPath, testCode, frontmatter, strict: true });
+  }
+  testRuns.forEach((testRun, index) => testRun.index = index);
+  const total = testRuns.length;
+
+  // This function returns the feature because of which a test should be
+  // skipped according to the includeFeatures and excludeFeatures options, or
+  // undefined if the test should run.
+  function getSkippingFeature({ features = [] }) {
+    const excluded = features.find((feature) => excludeFeatures?.includes(feature));
+    if (excluded) return excluded;
+    if (includeFeatures && !features.some((feature) => includeFeatures.includes(feature))) {
+      return NOT_INCLUDED_FEATURE;
+    }
+    return undefined;
   }
 
+  const coverageCollector = coverage ? createCoverageCollector() : undefined;
+  const polyfillFiles = new Set();
+
   const failures = [];
-  // Map from Expected Failure file to a Set of unexpected passing tests
+  // Map from Expected Failure file to a Set of entries with unexpected passing
+  // tests
   const unexpectedPasses = new Map();
+  // Map from Expected Failure file to a Map of entries that failed as expected,
+  // to whether that failure was in strict mode. This is used to detect entries
+  // that apply to both modes, but only fail in one of them.
+  const expectedFailures = new Map();
   const longTests = [];
-  let passCount = 0;
-  let expectedFailCount = 0;
-  let unexpectedPassCount = 0;
-  let skippedCount = 0;
+  const records = [];
+  const counts = { pass: 0, fail: 0, expectedFail: 0, unexpectedPass: 0, skipped: 0, timeout: 0 };
+  // Map from feature to number of test runs skipped because of it
+  const skippedByFeature = new Map();
 
-  // === The test loop ===
-  for (const testFile of testFiles) {
-    // Skip test if over the max-failure limit
-    if (maxFailures && failures.length >= maxFailures) {
-      skippedCount++;
-      continue;
-    }
+  emit('runStart', { total, start, timeoutMsecs, environmentName, shard, seed });
 
-    // Set up the VM context with the polyfill first, as if it were built-in
-    const testContext = {};
-    vm.createContext(testContext);
-    polyfill.runInContext(testContext);
+  // === Recording results ===
 
-    // To proceed, we will now need to read the frontmatter
-    let testCode = fs.readFileSync(testFile, UTF8);
-    // Various forms of the test's path and filename. testRelPath matches what
-    // is given in the expected failures file. testDisplayName is a slightly
-    // abbreviated form that we use in logging during the run to make it more
-    // likely to fit on one line. progressDisplayName is what's displayed beside
-    // the progress bar: testDisplayName with the actual test filename cut off,
-    // since the individual tests go by too fast to read anyway.
-    const testRelPath = path.relative(testSubdirectory, testFile);
+  function shouldStop() {
+    return signal?.aborted || (maxFailures && failures.length >= maxFailures);
+  }
 
-    // Include a sourceURL so that when tests are run in a debugger they can be
-    // found using the names listed in the expected-failures-style files.
-    testCode += `\n//# sourceURL=file://${testFile}`;
+  // Name of a test run in the summary
+  function getTestRunName({ testFile, testRelPath, strict }) {
+    return (fullPath ? path.resolve(testFile) : testRelPath) + (strict ? ` ${STRICT_MODE_SUFFIX}` : '');
+  }
 
-    const frontmatterString = frontmatterMatcher.exec(testCode)?.[1] ?? '';
-    const frontmatter = yaml.load(frontmatterString);
-
-    const { flags = [], includes = [] } = frontmatter ?? {};
-
-    // Load whatever helpers the test specifies. As per the test262 execution
-    // instructions, assert.js and sta.js are always executed even if not
-    // specified, unless the raw flag is given.
-    if (!flags.includes('raw')) includes.unshift('assert.js', 'sta.js');
-    includes.forEach((includeName) => {
-      getHelperScript(includeName).runInContext(testContext);
-    });
-
-    const testDisplayName = testRelPath
-      .replace('built-ins/Temporal/', '')
-      .replace('intl402/Temporal/', '(intl) ')
-      .replace('staging/Temporal/', '(staging) ')
-      .replace('/prototype/', '/p/');
-    const progressDisplayName = path.dirname(testDisplayName);
-    progress.tick(0, { test: progressDisplayName });
-    // string[] of expected-failure.txt-style files that expect this test to
-    // fail, or undefined if no files expect this testcase to fail
-    const expectedFailureLists = getRelevantExpectedFailureLists(testRelPath);
-
-    // Time each test individually in order to report if they take longer than
-    // 100 ms
-    const testStart = process.hrtime.bigint();
-
-    // Run the test and log a message above the progress bar if the result is not
-    // what it's supposed to be. This is so that you don't have to wait until the
-    // end to see if your test failed.
-    try {
-      const testScript = new vm.Script(testCode, { filename: testFile });
-      testScript.runInContext(testContext, { timeout: timeoutMsecs });
+  function addRecord(record) {
+    records.push(record);
+    emit('testResult', record);
+  }
 
+  function recordStart(testRun) {
+    const { testRelPath, strict, index } = testRun;
+    emit('testStart', { path: testRelPath, strict, name: getTestRunName(testRun), index });
+  }
+
+  function recordSkipped(testRun, skipReason = signal?.aborted ? 'run was aborted' : 'maximum number of failures reached') {
+    const { testRelPath, strict, index } = testRun;
+    counts.skipped++;
+    addRecord({ path: testRelPath, strict, name: getTestRunName(testRun), status: 'skipped', ns: 0n, skipReason, index });
+  }
+
+  function recordResult(testRun, { error, skipReason, ns }) {
+    if (skipReason) {
+      recordSkipped(testRun, skipReason);
+      return;
+    }
+
+    const { testRelPath, strict, index } = testRun;
+    // { list, entry }[] of expected-failure.txt-style files that expect this
+    // test to fail, or undefined if no files expect this testcase to fail
+    const expectedFailureLists = getRelevantExpectedFailureLists(testRelPath, strict);
+
+    let status;
+    if (!error) {
       if (!expectedFailureLists) {
-        passCount++;
+        status = 'pass';
+        counts.pass++;
       } else {
-        unexpectedPassCount++;
-        progress.interrupt(`UNEXPECTED PASS: ${testDisplayName}`);
-        for (const list of expectedFailureLists) {
+        status = 'unexpected-pass';
+        counts.unexpectedPass++;
+        for (const { list, entry } of expectedFailureLists) {
           if (!unexpectedPasses.has(list)) {
             unexpectedPasses.set(list, new Set());
           }
-          unexpectedPasses.get(list).add(testRelPath);
+          unexpectedPasses.get(list).add(entry);
         }
       }
-    } catch (e) {
+    } else {
       if (expectedFailureLists) {
-        expectedFailCount++;
+        status = 'expected-fail';
+        counts.expectedFail++;
+        for (const { list, entry } of expectedFailureLists) {
+          if (!expectedFailures.has(list)) {
+            expectedFailures.set(list, new Map());
+          }
+          expectedFailures.get(list).set(entry, strict);
+        }
+      } else if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        status = 'timeout';
+        counts.timeout++;
       } else {
-        failures.push({ file: fullPath ? path.resolve(testFile) : testRelPath, error: e });
-        progress.interrupt(`FAIL: ${testDisplayName}`);
+        status = 'fail';
+        counts.fail++;
       }
     }
 
-    const testFinish = process.hrtime.bigint();
-    const testTime = testFinish - testStart;
-    if (testTime > 100_000_000n) {
-      longTests.push({ file: testRelPath, ns: testTime });
+    const record = { path: testRelPath, strict, name: getTestRunName(testRun), status, ns, error, index };
+    if (status === 'fail' || status === 'timeout') failures.push(record);
+    // Report tests that take longer than 100 ms
+    if (ns > 100_000_000n) longTests.push(record);
+    addRecord(record);
+    if (status === 'unexpected-pass') {
+      for (const { list, entry } of expectedFailureLists) {
+        emit('expectedFailureMismatch', { kind: 'unexpected-pass', file: list, entry, record });
+      }
     }
-
-    progress.tick(1, { test: progressDisplayName });
   }
 
-  // === Detect expected-failure entries with missing files ===
+  // === Filtering by feature ===
 
-  const missingTestsMap = new Map();
-  let missingTestsCnt = 0;
+  // Tests are filtered out before any of them run, but still show up as
+  // skipped in the results.
+  const runnableTestRuns = testRuns.filter((testRun) => {
+    const feature = getSkippingFeature(testRun.frontmatter);
+    if (feature === undefined) return true;
+    skippedByFeature.set(feature, (skippedByFeature.get(feature) ?? 0) + 1);
+    const skipReason = feature === NOT_INCLUDED_FEATURE ? 'uses none of the included features' : `uses excluded feature ${feature}`;
+    recordSkipped(testRun, skipReason);
+    return false;
+  });
 
-  if (testGlobs.length === 0) {
-    const testRelPathSet = new Set(
-      [...testFiles].map((testFile) => path.relative(testSubdirectory, testFile))
-    );
+  // Only the order in which the tests run is random. They are still reported
+  // in order.
+  if (seed !== undefined) shuffle(runnableTestRuns, seed);
 
-    for (const [expectedFailureFile, expectedFailureTestsSet] of expectedFailureLists) {
-      const missingTestsSet = new Set();
+  // Stable sort, so the tests keep their order otherwise
+  if (runFirst.size > 0) {
+    runnableTestRuns.sort((a, b) => runFirst.has(path.resolve(b.testFile)) - runFirst.has(path.resolve(a.testFile)));
+  }
 
-      for (const expectedFailureTest of expectedFailureTestsSet) {
-        if (!testRelPathSet.has(expectedFailureTest)) {
-          missingTestsSet.add(expectedFailureTest);
-          missingTestsCnt++;
-        }
-      }
+  // This function returns the expected-failure entries for the tests that
+  // failed unexpectedly. A test that failed in all of the modes it ran in gets
+  // an entry without a mode suffix, otherwise it gets one entry for each mode
+  // it failed in.
+  function getNewExpectedFailureEntries() {
+    const runsPerTest = new Map();
+    for (const { testRelPath } of testRuns) {
+      runsPerTest.set(testRelPath, (runsPerTest.get(testRelPath) ?? 0) + 1);
+    }
+    const failedModes = new Map();
+    for (const { path: testRelPath, strict } of failures) {
+      if (!failedModes.has(testRelPath)) failedModes.set(testRelPath, []);
+      failedModes.get(testRelPath).push(strict);
+    }
 
-      if (missingTestsSet.size) {
-        missingTestsMap.set(expectedFailureFile, missingTestsSet);
+    const entries = [];
+    for (const [testRelPath, modes] of failedModes) {
+      if (modes.length === runsPerTest.get(testRelPath)) {
+        entries.push(testRelPath);
+      } else {
+        modes.forEach((strict) => entries.push(`${testRelPath} ${strict ? STRICT_MODE_SUFFIX : NON_STRICT_MODE_SUFFIX}`));
       }
     }
+    return entries;
   }
 
-  // === Print results ===
+  // === Summary ===
 
-  const finish = process.hrtime.bigint();
-  const elapsed = Number(finish - start) / 1_000_000_000;
+  function finish() {
+    // An aborted run doesn't change any files, since its results are
+    // incomplete
+    const aborted = !!signal?.aborted;
+    const updatingExpectedFailureFiles = updateExpectedFailureFiles && !aborted;
 
-  print(color.underline('\nSummary of results:'));
-  let hasFailures = false;
-  if (failures.length > 0) {
-    hasFailures = true;
-    failures.forEach(({ file, error }) => {
-      print(color.yellow(`\n${color.bold('FAIL')}: ${file}`));
-      if (error.constructor.name === 'Test262Error') {
-        print(` \u2022 ${error.message}`);
-      } else {
-        print(util.inspect(error, { colors: color.enabled }));
-      }
-    });
-  }
+    // === Detect expected-failure entries with missing files ===
 
-  if (unexpectedPasses.size > 0) {
-    hasFailures = true;
-    if (updateExpectedFailureFiles) {
-      print(`\n${color.yellow.bold('WARNING:')} Tests passed unexpectedly; the following tests have been removed from their respective files:`);
-    } else {
-      print(`\n${color.yellow.bold('WARNING:')} Tests passed unexpectedly; remove them from their respective files?`);
+    const missingTestsMap = new Map();
+
+    if (isFullRun) {
+      // Tests in other shards aren't missing. An entry whose test doesn't exist
+      // is reported by the shard that would run the test, so that every entry
+      // is reported by exactly one shard.
+      const testRelPathSet = new Set(allTestFiles.map(({ testRelPath }) => testRelPath));
+
+      for (const [expectedFailureFile, expectedFailureTestsSet] of expectedFailureLists) {
+        const missingTestsSet = new Set();
+
+        for (const expectedFailureTest of expectedFailureTestsSet) {
+          const testRelPath = expectedFailureTest.replace(MODE_SUFFIX_REGEX, '');
+          if (testRelPathSet.has(testRelPath)) continue;
+          if (!shard || getShardIndex(testRelPath, shard.total) === shard.index) {
+            missingTestsSet.add(expectedFailureTest);
+          }
+        }
+
+        if (missingTestsSet.size) {
+          missingTestsMap.set(expectedFailureFile, missingTestsSet);
+        }
+        for (const entry of missingTestsSet) {
+          emit('expectedFailureMismatch', { kind: 'missing-test', file: expectedFailureFile, entry });
+        }
+      }
     }
+
+    // === Report results ===
+
+    const end = process.hrtime.bigint();
+
+    // Results may have come in out of order if tests ran in parallel
+    const byIndex = (a, b) => a.index - b.index;
+    records.sort(byIndex);
+    failures.sort(byIndex);
+    longTests.sort(byIndex);
+
+    // Entries that apply to both modes, but still fail in one of them, are
+    // narrowed down to that mode instead of being removed.
+    const unexpectedPassesSummary = new Map();
     for (const [expectedFailureFile, unexpectedPassesSet] of unexpectedPasses) {
-      if (updateExpectedFailureFiles) updateExpectedFailureFile(expectedFailureFile, unexpectedPassesSet);
-      print(` \u2022 ${expectedFailureFile}:`);
+      const stillFailing = expectedFailures.get(expectedFailureFile) ?? new Map();
+      const removed = new Set();
+      const narrowed = new Map();
       for (const unexpectedPass of unexpectedPassesSet) {
-        print(`   \u2022 ${unexpectedPass}`);
+        if (stillFailing.has(unexpectedPass)) {
+          const suffix = stillFailing.get(unexpectedPass) ? STRICT_MODE_SUFFIX : NON_STRICT_MODE_SUFFIX;
+          narrowed.set(unexpectedPass, `${unexpectedPass} ${suffix}`);
+        } else {
+          removed.add(unexpectedPass);
+        }
+      }
+      if (updatingExpectedFailureFiles) {
+        updateExpectedFailureFile(expectedFailureFile, removed, narrowed);
       }
+      unexpectedPassesSummary.set(expectedFailureFile, { removed, narrowed });
     }
-  }
 
-  if (missingTestsMap.size > 0) {
-    if (updateExpectedFailureFiles) {
-      print(`\n${color.yellow.bold('WARNING:')} Tests not found; references have been removed from the following expected-failure files:`);
-    } else {
-      print(`\n${color.yellow.bold('WARNING:')} Tests not found; remove references from the following expected-failure files?`);
-    }
-    for (const [expectedFailureFile, missingTestsSet] of missingTestsMap) {
-      if (updateExpectedFailureFiles) updateExpectedFailureFile(expectedFailureFile, missingTestsSet);
-      print(` \u2022 ${expectedFailureFile}:`);
-      for (const missingTest of missingTestsSet) {
-        print(`   \u2022 ${missingTest}`);
+    if (updatingExpectedFailureFiles) {
+      for (const [expectedFailureFile, missingTestsSet] of missingTestsMap) {
+        updateExpectedFailureFile(expectedFailureFile, missingTestsSet);
       }
     }
-  }
 
-  if (longTests.length > 0) {
-    print('\nThe following tests took a long time:');
-    longTests.forEach(({ file, ns }) => {
-      const ms = Math.round(Number(ns) / 1_000_000);
-      print(`  ${color.yellow(ms)} ms${ms >= timeoutMsecs ? ' (timeout)' : ''}: ${file}`);
-    });
-  }
+    const newExpectedFailures = new Map();
+    if (addNewFailuresTo && failures.length > 0 && !aborted) {
+      const entries = getNewExpectedFailureEntries();
+      addExpectedFailureEntries(addNewFailuresTo, entries);
+      newExpectedFailures.set(addNewFailuresTo, entries);
+    }
 
-  print(`\n${total} tests finished in ${color.bold(elapsed.toFixed(1))} s`);
-  print(color.green(`  ${passCount} passed`));
-  print(color.red(`  ${failures.length} failed`));
-  print(color.red(`  ${unexpectedPassCount} passed unexpectedly`));
+    const baselineComparison = baselineTests && compareWithBaseline(baselineFile, baselineTests, records, slowdownThresholdMsecs);
+    const savedBaselineFile = saveBaseline && !aborted ? getEnvironmentFilename(saveBaseline, environmentName) : undefined;
+    if (savedBaselineFile) writeBaseline(savedBaselineFile, records, !isFullRun || !!shard);
+    const coverageSummary = coverageCollector?.writeReports(getEnvironmentFilename(coverageDir, environmentName));
 
-  if (expectedFailCount > 0) {
-    print(color.cyan(`  ${expectedFailCount} expected failures`));
-  }
-  if (missingTestsCnt > 0) {
-    print(color.cyan(`  ${missingTestsCnt} missing tests`));
-  }
-  if (skippedCount > 0) {
-    print(color.grey(`  ${skippedCount} skipped`));
+    const summary = {
+      total,
+      ns: end - start,
+      timeoutMsecs,
+      records,
+      failures,
+      longTests,
+      unexpectedPasses: unexpectedPassesSummary,
+      missingTests: missingTestsMap,
+      expectedFailureFilesUpdated: !!updatingExpectedFailureFiles,
+      newExpectedFailures,
+      counts,
+      skippedByFeature,
+      environmentName,
+      baseline: baselineComparison,
+      savedBaselineFile,
+      coverage: coverageSummary,
+      aborted,
+      shard,
+      seed
+    };
+    emit('runEnd', summary);
+    if (aborted) throw signal.reason;
+
+    if (onlyFailOnRegressions) return baselineComparison.newFailures.length === 0;
+    return failures.length === 0 && unexpectedPasses.size === 0;
   }
 
-  return !hasFailures;
+  return {
+    testRuns: runnableTestRuns,
+    executorOptions: {
+      test262Dir,
+      polyfillCodeFile,
+      polyfillIsModule,
+      timeoutMsecs,
+      colors: color.enabled,
+      environment: { locale: environment.locale, now: environment.now, freezeClock: environment.freezeClock }
+    },
+    timeZone: environment.timeZone,
+    // Coverage is only collected in child processes
+    isolation: isolate || coverage ? {
+      testsPerProcess,
+      maxProcessMemoryMB,
+      coverage: coverage ? { perTest: !!coveragePerTest } : undefined,
+      onCoverage: coverageCollector?.addCoverage,
+      onTestCoverage: (testRun, fileCoverages) => coverageCollector.addTestCoverage(testRun.testRelPath, fileCoverages)
+    } : undefined,
+    shouldStop,
+    recordStart,
+    recordSkipped,
+    recordResult,
+    finish,
+    // For watch mode
+    testFiles: [...testFiles].map((testFile) => path.resolve(testFile)),
+    helperFiles: [...new Set(testRuns.flatMap(({ frontmatter }) => getIncludes(frontmatter)))]
+      .map((includeName) => path.resolve(test262Dir, 'harness', includeName)),
+    getFailedTestFiles: () => failures.map(({ index }) => path.resolve(testRuns[index].testFile)),
+    // Files of the polyfill that were loaded, including the files that a
+    // module polyfill imports
+    recordPolyfillFiles: (files) => files.forEach((file) => polyfillFiles.add(file)),
+    getPolyfillFiles: () => [...polyfillFiles]
+  };
+}
+
+// Parses a line of an expected-failure file into the entry, which is a test
+// path optionally followed by a mode suffix, and an optional reason after a
+// `#`. Returns undefined for comments and blank lines.
+function parseExpectedFailureLine(line) {
+  const [, entry, reason] = /^\s*([^#]*?)\s*(?:#\s*(.*))?$/.exec(line);
+  if (!entry) return undefined;
+  return { entry, reason };
 }
 
-function updateExpectedFailureFile(fileName, linesForRemoval) {
+// Removes or replaces entries, keeping comments, blank lines, inline reasons,
+// and the order of the other lines.
+function updateExpectedFailureFile(fileName, linesForRemoval, linesForReplacement = new Map()) {
     const linesOnDisk = fs
         .readFileSync(fileName, UTF8)
         .split(/\r?\n/g);
-    const output = linesOnDisk.filter(l => !linesForRemoval.has(l));
+    const output = linesOnDisk
+        .filter(l => !linesForRemoval.has(parseExpectedFailureLine(l)?.entry))
+        .map(l => {
+            const entry = parseExpectedFailureLine(l)?.entry;
+            return linesForReplacement.has(entry) ? l.replace(entry, linesForReplacement.get(entry)) : l;
+        });
     fs.writeFileSync(fileName, output.join('\n'), UTF8);
 }
+
+// Adds entries in sorted order under a comment with today's date at the end of
+// the file. If that comment is already there from an earlier run on the same
+// day, the entries are merged into its group instead.
+function addExpectedFailureEntries(fileName, entries) {
+  const heading = `# New failures as of ${new Date().toISOString().slice(0, 10)}`;
+  const lines = fs.existsSync(fileName) ? fs.readFileSync(fileName, UTF8).split(/\r?\n/g) : [];
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+
+  let groupStart = lines.indexOf(heading) + 1;
+  if (groupStart === 0) {
+    if (lines.length > 0) lines.push('');
+    lines.push(heading);
+    groupStart = lines.length;
+  }
+  let groupEnd = groupStart;
+  while (groupEnd < lines.length && parseExpectedFailureLine(lines[groupEnd])) {
+    groupEnd++;
+  }
+
+  const group = [...new Set([...lines.slice(groupStart, groupEnd), ...entries])];
+  group.sort((a, b) => {
+    const entryA = parseExpectedFailureLine(a).entry;
+    const entryB = parseExpectedFailureLine(b).entry;
+    return entryA < entryB ? -1 : entryA > entryB ? 1 : 0;
+  });
+  lines.splice(groupStart, groupEnd - groupStart, ...group);
+  fs.writeFileSync(fileName, lines.join('\n') + '\n', UTF8);
+}
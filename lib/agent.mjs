@@ -0,0 +1,49 @@
+import { parentPort, workerData } from 'node:worker_threads';
+import { performance } from 'node:perf_hooks';
+import vm from 'node:vm';
+
+// Entry point for the worker threads that run agents started with
+// $262.agent.start(). See AgentHost in host.mjs for the main agent's side.
+
+const { source, reportPort } = workerData;
+
+let broadcastCallback;
+const pendingBroadcasts = [];
+
+// Acknowledge the broadcast before calling the callback, since the callback
+// may well block until the main agent does something.
+function deliver({ sab, id, received }) {
+  Atomics.add(received, 0, 1);
+  Atomics.notify(received, 0);
+  broadcastCallback(sab, id);
+}
+
+parentPort.on('message', (message) => {
+  if (broadcastCallback) deliver(message);
+  else pendingBroadcasts.push(message);
+});
+
+globalThis.$262 = {
+  agent: {
+    receiveBroadcast(callback) {
+      broadcastCallback = callback;
+      pendingBroadcasts.splice(0).forEach(deliver);
+    },
+
+    report(value) {
+      reportPort.postMessage(String(value));
+    },
+
+    leaving() {},
+
+    sleep(ms) {
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+    },
+
+    monotonicNow() {
+      return performance.now();
+    }
+  }
+};
+
+vm.runInThisContext(source, { filename: 'agent' });
@@ -0,0 +1,125 @@
+import { BaselineError } from './errors.mjs';
+import fs from 'node:fs';
+
+const UTF8 = { encoding: 'utf-8' };
+
+// Status of a test run in a baseline, for each status of its record. Whether
+// an expected-failure file lists the test doesn't matter.
+const BASELINE_STATUSES = {
+  pass: 'pass',
+  'unexpected-pass': 'pass',
+  fail: 'fail',
+  'expected-fail': 'fail',
+  timeout: 'timeout'
+};
+
+/**
+ * A baseline is a snapshot of the results of an earlier run, which later runs
+ * can be compared with. It is a JSON file with the status and duration of each
+ * test run, keyed by the test's path relative to test262's `test` directory,
+ * and then by mode:
+ * ```json
+ * {
+ *   "savedAt": "2024-05-01T12:00:00.000Z",
+ *   "tests": {
+ *     "built-ins/Temporal/Duration/compare/basic.js": {
+ *       "nonStrict": { "status": "pass", "durationMsecs": 1.52 },
+ *       "strict": { "status": "fail", "durationMsecs": 1.38 }
+ *     }
+ *   }
+ * }
+ * ```
+ * The status is `'pass'`, `'fail'`, or `'timeout'`. Whether a failure was
+ * expected isn't part of the snapshot, so that expected-failure files can
+ * change without affecting the comparison. Skipped tests are left out.
+ *
+ * @typedef {Object} BaselineComparison
+ * @property {string} file Filename of the baseline.
+ * @property {import('./reporters.mjs').TestRecord[]} newFailures Test runs
+ *   that failed, but didn't fail in the baseline or weren't in it.
+ * @property {import('./reporters.mjs').TestRecord[]} fixed Test runs that
+ *   passed, but failed in the baseline.
+ * @property {Array<{ record: import('./reporters.mjs').TestRecord, baselineMsecs: number }>} slower
+ *   Test runs that took longer than in the baseline, by more than the
+ *   threshold.
+ */
+
+/**
+ * Reads the tests of a baseline.
+ *
+ * @param {string} fileName
+ * @returns {Object} The `tests` object of the baseline.
+ * @throws {BaselineError} If the file can't be read or isn't a baseline.
+ */
+export function readBaseline(fileName) {
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(fileName, UTF8));
+  } catch (e) {
+    throw new BaselineError(fileName, e.message);
+  }
+  if (typeof baseline?.tests !== 'object' || baseline.tests === null) {
+    throw new BaselineError(fileName, 'missing "tests" object');
+  }
+  return baseline.tests;
+}
+
+/**
+ * Compares the records of a run with the tests of a baseline. Skipped test
+ * runs are not compared.
+ *
+ * @param {string} fileName Filename of the baseline, for the report.
+ * @param {Object} baselineTests As returned by `readBaseline()`.
+ * @param {import('./reporters.mjs').TestRecord[]} records
+ * @param {number} slowdownThresholdMsecs How much longer a test must take than
+ *   in the baseline to be reported as slower.
+ * @returns {BaselineComparison}
+ */
+export function compareWithBaseline(fileName, baselineTests, records, slowdownThresholdMsecs) {
+  const comparison = { file: fileName, newFailures: [], fixed: [], slower: [] };
+  for (const record of records) {
+    if (record.status === 'skipped') continue;
+    const baselineResult = baselineTests[record.path]?.[getModeKey(record)];
+    const failing = BASELINE_STATUSES[record.status] !== 'pass';
+    const failedBefore = baselineResult !== undefined && baselineResult.status !== 'pass';
+    if (failing && !failedBefore) comparison.newFailures.push(record);
+    if (!failing && failedBefore) comparison.fixed.push(record);
+
+    if (baselineResult?.durationMsecs !== undefined &&
+      getDurationMsecs(record) - baselineResult.durationMsecs > slowdownThresholdMsecs) {
+      comparison.slower.push({ record, baselineMsecs: baselineResult.durationMsecs });
+    }
+  }
+  return comparison;
+}
+
+/**
+ * Writes the results of a run to a baseline file. If `merge` is true, tests that
+ * didn't run keep their results from the existing file, if any, so that
+ * running a subset of the tests doesn't lose the results of the others.
+ *
+ * @param {string} fileName
+ * @param {import('./reporters.mjs').TestRecord[]} records
+ * @param {boolean} merge
+ */
+export function writeBaseline(fileName, records, merge) {
+  const tests = merge && fs.existsSync(fileName) ? readBaseline(fileName) : {};
+  for (const record of records) {
+    if (record.status === 'skipped') continue;
+    const result = { status: BASELINE_STATUSES[record.status], durationMsecs: Math.round(getDurationMsecs(record) * 1000) / 1000 };
+    tests[record.path] = { ...tests[record.path], [getModeKey(record)]: result };
+  }
+
+  // Sorted, so that the file can be diffed between runs
+  const sortedTests = Object.fromEntries(Object.keys(tests).sort().map((testRelPath) => [testRelPath, tests[testRelPath]]));
+  const baseline = { savedAt: new Date().toISOString(), tests: sortedTests };
+  fs.writeFileSync(fileName, JSON.stringify(baseline, null, 2) + '\n', UTF8);
+}
+
+function getModeKey({ strict }) {
+  return strict ? 'strict' : 'nonStrict';
+}
+
+function getDurationMsecs({ ns }) {
+  return Number(ns) / 1_000_000;
+}
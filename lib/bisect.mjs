@@ -0,0 +1,183 @@
+import { BisectError } from './errors.mjs';
+import color from 'ansi-colors';
+import { execFileSync, spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const UTF8 = { encoding: 'utf-8' };
+
+const VERDICT_COLORS = {
+  good: color.green,
+  bad: color.red,
+  skip: color.grey
+};
+
+/**
+ * Bisects the history of a local git repo with `git bisect`, in a worktree of
+ * its own in a temporary directory. The user's checkout, including a bisection
+ * that may be going on in it, is left alone, since bisection state belongs to
+ * a worktree. Nothing is fetched, so both revisions must exist locally.
+ *
+ * The worktree starts out at the bad revision. Testing the commit that it has
+ * checked out, and telling `mark()` the verdict, is up to the caller.
+ *
+ * @typedef {Object} BisectStep
+ * @property {string=} commit Commit to test next, if the bisection isn't done.
+ * @property {string[]=} candidates Once the bisection is done, the first bad
+ *   commit, or the commits that could be the first bad one if commits next to
+ *   it had to be skipped.
+ *
+ * @param {string} repoDir Any directory in the repo. It may not exist yet in
+ *   the user's checkout, such as the output directory of a build.
+ * @param {{ good: string, bad: string }} revisions
+ * @returns {{
+ *   good: string,
+ *   bad: string,
+ *   getWorktreePath: (file: string) => string,
+ *   checkout: (commit: string) => void,
+ *   build: (command: string) => string|undefined,
+ *   start: () => BisectStep,
+ *   mark: (verdict: 'good'|'bad'|'skip') => BisectStep,
+ *   describe: (commit: string) => string,
+ *   remove: () => void
+ * }}
+ */
+export function createBisection(repoDir, { good, bad }) {
+  const root = git(findExistingAncestor(path.resolve(repoDir)), ['rev-parse', '--show-toplevel']);
+  const resolveRevision = (revision) => {
+    const { status, stdout } = spawnSync('git', ['rev-parse', '--verify', '--quiet', `${revision}^{commit}`], { cwd: root, ...UTF8 });
+    if (status !== 0) throw new BisectError(`Unknown revision ${revision} in ${root}`);
+    return stdout.trim();
+  };
+  const goodCommit = resolveRevision(good);
+  const badCommit = resolveRevision(bad);
+  if (spawnSync('git', ['merge-base', '--is-ancestor', goodCommit, badCommit], { cwd: root }).status !== 0) {
+    throw new BisectError(`The good revision ${good} is not an ancestor of the bad revision ${bad}`);
+  }
+
+  // The worktree has the same name as the repo, so that paths in error
+  // messages still look familiar
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'temporal-test262-bisect-'));
+  const worktree = path.join(tempDir, path.basename(root));
+  try {
+    git(root, ['worktree', 'add', '--detach', worktree, badCommit]);
+  } catch (e) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    throw e;
+  }
+
+  // Where a file of the repo is in the worktree. The file itself may not exist
+  // yet, for example a polyfill that is built.
+  function getWorktreePath(file) {
+    file = path.resolve(file);
+    const existing = findExistingAncestor(file);
+    return path.join(worktree, path.relative(root, fs.realpathSync(existing)), path.relative(existing, file));
+  }
+
+  // Throws away changes that a build made to tracked files, and untracked
+  // files that aren't ignored, so that git can check out the next commit.
+  // Ignored files such as node_modules are kept for the next build.
+  function reset() {
+    git(worktree, ['reset', '--hard', '--quiet']);
+    git(worktree, ['clean', '-d', '--force', '--quiet']);
+  }
+
+  function checkout(commit) {
+    reset();
+    git(worktree, ['checkout', '--detach', '--quiet', commit]);
+  }
+
+  // Runs the command in the worktree's root, and returns why it failed, or
+  // undefined if it succeeded
+  function build(command) {
+    const { status, signal } = spawnSync(command, { cwd: worktree, shell: true, stdio: 'ignore' });
+    if (status === 0) return undefined;
+    return `build failed with ${signal ?? `exit code ${status}`}`;
+  }
+
+  // Runs a git bisect subcommand, and finds out from its output whether the
+  // bisection is done. Otherwise, git has checked out the next commit to test.
+  function bisect(args) {
+    reset();
+    const { status, stdout, stderr } = spawnSync('git', ['bisect', ...args], { cwd: worktree, ...UTF8 });
+    const firstBad = /^([0-9a-f]{40}) is the first bad commit$/m.exec(stdout);
+    if (firstBad) return { candidates: [firstBad[1]] };
+    if (stdout.includes('only \'skip\'ped commits left')) return { candidates: stdout.match(/^[0-9a-f]{40}$/gm) };
+    if (status !== 0) throw new BisectError(`git bisect ${args.join(' ')} failed: ${stderr.trim()}`);
+    return { commit: git(worktree, ['rev-parse', 'HEAD']) };
+  }
+
+  // Short hash and subject, such as "1a2b3c4 Add tests for Temporal.Foo"
+  function describe(commit) {
+    return git(root, ['log', '-1', '--format=%h %s', commit]);
+  }
+
+  // Best effort, so that an error from a test run isn't hidden by one from
+  // cleaning up
+  function remove() {
+    spawnSync('git', ['worktree', 'remove', '--force', worktree], { cwd: root, stdio: 'ignore' });
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    spawnSync('git', ['worktree', 'prune'], { cwd: root, stdio: 'ignore' });
+  }
+
+  return {
+    good: goodCommit,
+    bad: badCommit,
+    getWorktreePath,
+    checkout,
+    build,
+    start: () => bisect(['start', badCommit, goodCommit]),
+    mark: (verdict) => bisect([verdict]),
+    describe,
+    remove
+  };
+}
+
+function findExistingAncestor(file) {
+  while (!fs.existsSync(file)) file = path.dirname(file);
+  return file;
+}
+
+function git(cwd, args) {
+  try {
+    return execFileSync('git', args, { cwd, stdio: ['ignore', 'pipe', 'pipe'], ...UTF8 }).trim();
+  } catch (e) {
+    if (e.code === 'ENOENT') throw new BisectError('Bisecting needs git, which was not found');
+    throw new BisectError(`git ${args.join(' ')} failed: ${e.stderr?.trim() || e.message}`);
+  }
+}
+
+/**
+ * Formats the verdict for one commit, such as
+ * `1a2b3c4 Add tests for Temporal.Foo: bad (Expected SameValue(...))`.
+ *
+ * @param {{
+ *   description: string,
+ *   verdict: 'good'|'bad'|'skip',
+ *   reason?: string
+ * }} verdict `description` is the commit as returned by `describe()`.
+ * @returns {string}
+ */
+export function formatVerdict({ description, verdict, reason }) {
+  return `${description}: ${VERDICT_COLORS[verdict](verdict)}` + (reason ? color.grey(` (${reason})`) : '');
+}
+
+/**
+ * Formats the first bad commit, or the commits it could be.
+ *
+ * @param {string} repo `'test262'` or `'polyfill'`.
+ * @param {Array<{ commit: string, description: string }>} candidates
+ *   `commit` is the full hash, and `description` as returned by `describe()`.
+ * @returns {string}
+ */
+export function formatBisectResult(repo, candidates) {
+  if (candidates.length === 1) {
+    const [{ commit, description }] = candidates;
+    return color.bold(`\nFirst bad commit in ${repo}: ${commit}`) + `\n${description}`;
+  }
+  return [
+    color.yellow(`\nCommits had to be skipped. The first bad commit in ${repo} is one of:`),
+    ...candidates.map(({ description }) => ` \u2022 ${description}`)
+  ].join('\n');
+}
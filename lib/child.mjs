@@ -0,0 +1,50 @@
+import { createCoverageCollector, startCoverage } from './coverage.mjs';
+import { createTestExecutor } from './executor.mjs';
+import process from 'node:process';
+
+// Entry point for child processes started by runInChildProcesses(). The first
+// message has the executor options, and each further message is a test to run,
+// as for worker threads. The process exits when the parent disconnects.
+//
+// With coverage, it is collected from before the polyfill is first loaded.
+// The parent asks for it with a finish message before disconnecting. Per-test
+// coverage is taken after each test, and sent along with the result. As in
+// worker threads, the names of the polyfill's files are sent whenever more of
+// them have been loaded.
+
+let runTest;
+let getPolyfillSources;
+let takeCoverage;
+let perTestCoverage = false;
+let polyfillFileCount = 0;
+const coverageCollector = createCoverageCollector();
+
+process.on('message', async ({ executorOptions, coverage, index, testRun, finish }) => {
+  if (executorOptions) {
+    if (coverage) {
+      ({ takeCoverage } = await startCoverage(() => getPolyfillSources()));
+      perTestCoverage = !!coverage.perTest;
+    }
+    ({ runTest, getPolyfillSources } = createTestExecutor(executorOptions));
+    process.send({ ready: true });
+    return;
+  }
+  if (finish) {
+    if (takeCoverage) coverageCollector.addCoverage(await takeCoverage());
+    process.send({ coverage: coverageCollector.getCoverage() });
+    return;
+  }
+
+  const message = { index, result: await runTest(testRun) };
+  const polyfillFiles = [...getPolyfillSources().keys()];
+  if (polyfillFiles.length > polyfillFileCount) {
+    polyfillFileCount = polyfillFiles.length;
+    message.polyfillFiles = polyfillFiles;
+  }
+  if (perTestCoverage) {
+    const fileCoverages = await takeCoverage();
+    coverageCollector.addCoverage(fileCoverages);
+    message.testCoverage = fileCoverages.map(({ file, functions }) => ({ file, functions: functions.filter(({ count }) => count > 0) }));
+  }
+  process.send(message);
+});
@@ -0,0 +1,343 @@
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import process from 'node:process';
+import { BisectError, bisectTest262, compareTest262, InvalidOptionError, runTest262Async, Test262RunnerError, watchTest262 } from '../index.mjs';
+
+// Exit codes, from sysexits.h where applicable
+export const EXIT_SUCCESS = 0;
+// At least one test did not have the expected result
+export const EXIT_TEST_FAILURES = 1;
+// EX_USAGE -- The command was used incorrectly
+export const EX_USAGE = 64;
+// EX_NOINPUT -- An input file (not a system file) did not exist or was not readable.
+export const EX_NOINPUT = 66;
+// EX_SOFTWARE -- An internal software error has been detected.
+export const EX_SOFTWARE = 70;
+
+const CONFIG_FILES = ['temporal-test262.config.mjs', 'temporal-test262.config.json'];
+const PACKAGE_JSON_KEY = 'temporal-test262';
+
+const USAGE = `Usage: temporal-test262 [options] [test globs...]
+
+Runs Temporal's Test262 tests against a polyfill. Globs are resolved relative to
+the test/**/Temporal/ subdirectories of the test262 directory. If none are
+given, all Temporal tests are run.
+
+Options:
+  --test262-dir <dir>           Root directory of the test262 repo
+  --polyfill <file>             Filename of the Temporal polyfill
+  --polyfill-is-module          The polyfill is an ES module (default if its
+                                name ends in .mjs)
+  --expected-failures <file>    Expected-failure file (repeatable)
+  --update-expected-failures    Remove tests that now pass from expected-failure
+                                files
+  --add-new-failures-to <file>  Add tests that fail unexpectedly to this
+                                expected-failure file
+  --timeout <msecs>             Timeout for each test (default 2000)
+  --max-failures <n>            Stop running tests after this many failures
+  --full-path                   Print absolute paths of test files
+  --reporter <name[:file]>      console, json, junit, or tap, optionally with
+                                an output file (repeatable; default console)
+  --include-feature <feature>   Only run tests that use this feature
+                                (repeatable)
+  --exclude-feature <feature>   Don't run tests that use this feature
+                                (repeatable)
+  --time-zone <id>              Default time zone of the tests
+  --locale <tag>                Default locale of the tests
+  --now <time>                  Freeze the tests' clock at this time, given as
+                                an ISO string or epoch milliseconds
+  --advance-clock               Let the clock advance from --now instead
+  --matrix <timeZone[,locale]>  Run the tests once with each of these time
+                                zone and locale pairs (repeatable)
+  --baseline <file>             Compare the results with a baseline saved by an
+                                earlier run
+  --save-baseline <file>        Save the results as a baseline
+  --slowdown-threshold <msecs>  Report tests that got slower than in the
+                                baseline by more than this (default 100)
+  --only-fail-on-regressions    Only fail if tests fail that didn't fail in
+                                the baseline
+  --isolate                     Run tests in child processes, so that crashes
+                                don't end the run
+  --tests-per-process <n>       With --isolate, replace each process after this
+                                many tests (default 500)
+  --max-process-memory <MB>     With --isolate, heap size limit of each process
+  --coverage                    Collect coverage of the polyfill and write lcov
+                                and JSON reports (implies --isolate)
+  --coverage-dir <dir>          Directory for the coverage reports (default
+                                coverage)
+  --coverage-per-test           With --coverage, also report which tests call
+                                each function of the polyfill (slow)
+  --shard <index>/<total>       Only run this shard of the tests, such as 2/4
+  --random-order                Run the tests in random order, and print the
+                                seed
+  --seed <n>                    Run the tests in the random order given by this
+                                seed
+  --workers <n>                 Number of worker threads, or processes with
+                                --isolate (default: CPU count)
+  --watch                       Re-run tests when the polyfill, harness, or
+                                tests change, until q is pressed
+  --compare <polyfill|native>   Instead of --polyfill, run the tests with each
+                                of these polyfills, or with Node's built-in
+                                Temporal for "native", and list the tests
+                                whose results differ (repeatable)
+  --bisect <test>               Find the commit that made this test fail,
+                                given relative to test262's test/ directory,
+                                with --good and --bad
+  --good <rev>                  With --bisect, a revision where the test passes
+  --bad <rev>                   With --bisect, a later revision where it fails
+  --bisect-repo <repo>          With --bisect, the history to search: test262
+                                (default) or polyfill
+  --build-command <command>     With --bisect, a shell command that builds the
+                                polyfill in the checkout of each revision
+  --config <file>               Config file (default: ${CONFIG_FILES[0]},
+                                ${CONFIG_FILES[1]}, or the
+                                "${PACKAGE_JSON_KEY}" key of package.json)
+  -h, --help                    Show this help
+
+Exit codes:
+  ${EXIT_SUCCESS}   All tests had the expected result
+  ${EXIT_TEST_FAILURES}   Some tests failed or passed unexpectedly (with
+      --only-fail-on-regressions, some tests failed that didn't fail in the
+      baseline), with --compare, some tests had different results, or with
+      --bisect, no single first bad commit was found
+  ${EX_USAGE}  Invalid command line or config
+  ${EX_NOINPUT}  Missing test262 directory, polyfill, expected-failure file, or
+      test files
+  ${EX_SOFTWARE}  Internal error`;
+
+const ARG_OPTIONS = {
+  'test262-dir': { type: 'string' },
+  polyfill: { type: 'string' },
+  'polyfill-is-module': { type: 'boolean' },
+  'expected-failures': { type: 'string', multiple: true },
+  'update-expected-failures': { type: 'boolean' },
+  'add-new-failures-to': { type: 'string' },
+  timeout: { type: 'string' },
+  'max-failures': { type: 'string' },
+  'full-path': { type: 'boolean' },
+  reporter: { type: 'string', multiple: true },
+  'include-feature': { type: 'string', multiple: true },
+  'exclude-feature': { type: 'string', multiple: true },
+  'time-zone': { type: 'string' },
+  locale: { type: 'string' },
+  now: { type: 'string' },
+  'advance-clock': { type: 'boolean' },
+  matrix: { type: 'string', multiple: true },
+  baseline: { type: 'string' },
+  'save-baseline': { type: 'string' },
+  'slowdown-threshold': { type: 'string' },
+  'only-fail-on-regressions': { type: 'boolean' },
+  isolate: { type: 'boolean' },
+  'tests-per-process': { type: 'string' },
+  'max-process-memory': { type: 'string' },
+  coverage: { type: 'boolean' },
+  'coverage-dir': { type: 'string' },
+  'coverage-per-test': { type: 'boolean' },
+  shard: { type: 'string' },
+  'random-order': { type: 'boolean' },
+  seed: { type: 'string' },
+  workers: { type: 'string' },
+  watch: { type: 'boolean' },
+  compare: { type: 'string', multiple: true },
+  bisect: { type: 'string' },
+  good: { type: 'string' },
+  bad: { type: 'string' },
+  'bisect-repo': { type: 'string' },
+  'build-command': { type: 'string' },
+  config: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Thrown for invalid command lines and config files
+class UsageError extends Error {
+  name = 'UsageError';
+}
+
+function parseInteger(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(`${flag} must be a non-negative integer, got "${value}"`);
+  }
+  return number;
+}
+
+// "junit:results.xml" -> ['junit', { outputFile: 'results.xml' }]
+function parseReporter(spec) {
+  const separator = spec.indexOf(':');
+  if (separator === -1) return spec;
+  return [spec.slice(0, separator), { outputFile: spec.slice(separator + 1) }];
+}
+
+// "2/4" -> { index: 2, total: 4 }
+function parseShard(spec) {
+  if (spec === undefined) return undefined;
+  const match = /^(\d+)\/(\d+)$/.exec(spec);
+  if (!match) throw new UsageError(`--shard must be given as <index>/<total>, such as 2/4, got "${spec}"`);
+  return { index: Number(match[1]), total: Number(match[2]) };
+}
+
+// "America/Vancouver,fr-CA" -> { timeZone: 'America/Vancouver', locale: 'fr-CA' }
+// Either part may be left out, as in "UTC" or ",fr-CA".
+function parseMatrixEntry(spec) {
+  const [timeZone, locale] = spec.split(',');
+  return { timeZone: timeZone || undefined, locale: locale || undefined };
+}
+
+/**
+ * Converts command line arguments into options for runTest262Async(), leaving
+ * out options that weren't given so that they don't override the config file.
+ */
+export function parseCommandLine(args) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args, options: ARG_OPTIONS, allowPositionals: true }));
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+
+  const options = {
+    test262Dir: values['test262-dir'],
+    polyfillCodeFile: values.polyfill,
+    polyfillIsModule: values['polyfill-is-module'],
+    expectedFailureFiles: values['expected-failures'],
+    updateExpectedFailureFiles: values['update-expected-failures'],
+    addNewFailuresTo: values['add-new-failures-to'],
+    timeoutMsecs: parseInteger(values.timeout, '--timeout'),
+    maxFailures: parseInteger(values['max-failures'], '--max-failures'),
+    fullPath: values['full-path'],
+    reporters: values.reporter?.map(parseReporter),
+    includeFeatures: values['include-feature'],
+    excludeFeatures: values['exclude-feature'],
+    timeZone: values['time-zone'],
+    locale: values.locale,
+    now: values.now !== undefined && /^-?\d+$/.test(values.now) ? Number(values.now) : values.now,
+    freezeClock: values['advance-clock'] ? false : undefined,
+    matrix: values.matrix?.map(parseMatrixEntry),
+    baseline: values.baseline,
+    saveBaseline: values['save-baseline'],
+    slowdownThresholdMsecs: parseInteger(values['slowdown-threshold'], '--slowdown-threshold'),
+    onlyFailOnRegressions: values['only-fail-on-regressions'],
+    isolate: values.isolate,
+    testsPerProcess: parseInteger(values['tests-per-process'], '--tests-per-process'),
+    maxProcessMemoryMB: parseInteger(values['max-process-memory'], '--max-process-memory'),
+    coverage: values.coverage,
+    coverageDir: values['coverage-dir'],
+    coveragePerTest: values['coverage-per-test'],
+    shard: parseShard(values.shard),
+    randomOrder: values['random-order'],
+    seed: parseInteger(values.seed, '--seed'),
+    workers: parseInteger(values.workers, '--workers'),
+    bisectRepo: values['bisect-repo'],
+    buildCommand: values['build-command'],
+    testGlobs: positionals.length > 0 ? positionals : undefined
+  };
+  for (const key of Object.keys(options)) {
+    if (options[key] === undefined) delete options[key];
+  }
+  const bisect = values.bisect === undefined ? undefined : { test: values.bisect, good: values.good, bad: values.bad };
+  return { options, configFile: values.config, help: values.help, watch: values.watch, compare: values.compare, bisect };
+}
+
+/**
+ * Loads the config from the given file, or else from the first config file
+ * found in the working directory, or else from package.json. Paths in the
+ * config are relative to the file they're in.
+ */
+export async function loadConfig(configFile) {
+  let file = configFile;
+  if (!file) file = CONFIG_FILES.find((name) => fs.existsSync(name));
+
+  let config = {};
+  if (file) {
+    if (!fs.existsSync(file)) throw new UsageError(`Config file ${file} not found`);
+    if (file.endsWith('.mjs') || file.endsWith('.js')) {
+      config = (await import(pathToFileURL(path.resolve(file)))).default;
+    } else {
+      config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+  } else if (fs.existsSync('package.json')) {
+    file = 'package.json';
+    config = JSON.parse(fs.readFileSync(file, 'utf-8'))[PACKAGE_JSON_KEY] ?? {};
+  }
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new UsageError(`Config in ${file} must be an object`);
+  }
+
+  const configDir = path.dirname(path.resolve(file ?? '.'));
+  const resolve = (p) => path.resolve(configDir, p);
+  config = { ...config };
+  if (config.test262Dir) config.test262Dir = resolve(config.test262Dir);
+  if (config.polyfillCodeFile) config.polyfillCodeFile = resolve(config.polyfillCodeFile);
+  if (config.expectedFailureFiles) config.expectedFailureFiles = config.expectedFailureFiles.map(resolve);
+  if (config.addNewFailuresTo) config.addNewFailuresTo = resolve(config.addNewFailuresTo);
+  if (config.baseline) config.baseline = resolve(config.baseline);
+  if (config.saveBaseline) config.saveBaseline = resolve(config.saveBaseline);
+  if (config.coverageDir) config.coverageDir = resolve(config.coverageDir);
+  return config;
+}
+
+/**
+ * Runs the CLI with the given arguments and returns the exit code.
+ */
+export async function main(args) {
+  let command, options;
+  try {
+    command = parseCommandLine(args);
+    if (command.help) {
+      process.stdout.write(USAGE + '\n');
+      return EXIT_SUCCESS;
+    }
+    options = { ...(await loadConfig(command.configFile)), ...command.options };
+    if (command.compare) {
+      if (command.watch) throw new UsageError('--compare can\'t be used with --watch');
+      if (command.compare.length < 2) throw new UsageError('--compare must be given at least twice');
+      options.polyfillCodeFiles = command.compare;
+    }
+    if (command.bisect) {
+      if (command.watch || command.compare) throw new UsageError('--bisect can\'t be used with --watch or --compare');
+      if (!command.bisect.good || !command.bisect.bad) throw new UsageError('--bisect needs --good and --bad');
+      Object.assign(options, command.bisect);
+    }
+    const required = command.compare ? ['test262Dir'] : ['test262Dir', 'polyfillCodeFile'];
+    for (const requiredOption of required) {
+      if (!options[requiredOption]) throw new UsageError(`Missing required option ${requiredOption}`);
+    }
+    // When bisecting the polyfill, it's built from each revision
+    const polyfills = command.compare?.filter((polyfill) => polyfill !== 'native') ??
+      (command.bisect && options.bisectRepo === 'polyfill' ? [] : [options.polyfillCodeFile]);
+    const missingPolyfill = polyfills.find((polyfill) => !fs.existsSync(polyfill));
+    if (missingPolyfill) {
+      process.stderr.write(`Polyfill ${missingPolyfill} not found\n`);
+      return EX_NOINPUT;
+    }
+  } catch (e) {
+    if (!(e instanceof UsageError) && !(e instanceof SyntaxError)) throw e;
+    process.stderr.write(`${e.message}\n\n${USAGE}\n`);
+    return EX_USAGE;
+  }
+
+  try {
+    if (command.watch) {
+      await watchTest262(options);
+      return EXIT_SUCCESS;
+    }
+    if (command.compare) {
+      return (await compareTest262(options)) ? EXIT_SUCCESS : EXIT_TEST_FAILURES;
+    }
+    if (command.bisect) {
+      return (await bisectTest262(options)).firstBadCommit ? EXIT_SUCCESS : EXIT_TEST_FAILURES;
+    }
+    return (await runTest262Async(options)) ? EXIT_SUCCESS : EXIT_TEST_FAILURES;
+  } catch (e) {
+    if (e instanceof Test262RunnerError) {
+      process.stderr.write(`${e.message}\n`);
+      if (e instanceof BisectError) return EXIT_TEST_FAILURES;
+      return e instanceof InvalidOptionError ? EX_USAGE : EX_NOINPUT;
+    }
+    process.stderr.write(`${e.stack}\n`);
+    return EX_SOFTWARE;
+  }
+}
@@ -0,0 +1,82 @@
+import color from 'ansi-colors';
+
+// Stands in for a polyfill filename, to test the host's built-in Temporal
+export const NATIVE_IMPLEMENTATION = 'native';
+
+const STATUS_COLORS = {
+  pass: color.green,
+  fail: color.red,
+  timeout: color.red,
+  skipped: color.grey
+};
+
+/**
+ * Finds the test runs whose status differs between implementations.
+ *
+ * @typedef {Object} Difference
+ * @property {string} name Name of the test run, as in reports.
+ * @property {Array<import('./reporters.mjs').TestRecord|undefined>} records
+ *   The test run's record with each implementation, in the same order as the
+ *   implementations.
+ *
+ * @param {Array<import('./reporters.mjs').TestRecord[]>} recordsPerImplementation
+ *   Records of all test runs with each implementation, in test order.
+ * @returns {Difference[]} In test order.
+ */
+export function findDifferences(recordsPerImplementation) {
+  const [first, ...others] = recordsPerImplementation;
+  const othersByName = others.map((records) => new Map(records.map((record) => [record.name, record])));
+  return first.flatMap((record) => {
+    const records = [record, ...othersByName.map((byName) => byName.get(record.name))];
+    if (records.every((other) => other?.status === record.status)) return [];
+    return [{ name: record.name, records }];
+  });
+}
+
+/**
+ * Formats a table with a row for each test run whose status differs between
+ * implementations, and a column for each implementation. Below a row, the
+ * error messages and skip reasons are listed if they differ as well.
+ *
+ * @param {string[]} implementations Polyfill filenames, or `'native'`.
+ * @param {Difference[]} differences
+ * @param {number} total Number of test runs compared.
+ * @returns {string} The table's lines, followed by the number of differences.
+ */
+export function formatComparison(implementations, differences, total) {
+  if (differences.length === 0) {
+    return color.green(`\nAll ${total} tests had the same results with ${implementations.join(', ')}.`);
+  }
+
+  const statusOf = (record) => record?.status ?? '-';
+  const widths = [
+    Math.max(...differences.map(({ name }) => name.length)),
+    ...implementations.map((implementation, column) =>
+      Math.max(implementation.length, ...differences.map(({ records }) => statusOf(records[column]).length)))
+  ];
+  // Cells are colored after padding, so that the escape codes don't count
+  // towards the column widths
+  const row = (cells, colorCell = (cell) => cell) => cells.map((cell, column) => {
+    const padded = column < cells.length - 1 ? cell.padEnd(widths[column]) : cell;
+    return colorCell(padded, column);
+  }).join('  ');
+
+  const lines = [color.underline('\nTests with different results:'), color.bold(row(['', ...implementations]))];
+  for (const { name, records } of differences) {
+    const statuses = records.map(statusOf);
+    lines.push(row([name, ...statuses], (cell, column) => {
+      const colorStatus = column > 0 && STATUS_COLORS[statuses[column - 1]];
+      return colorStatus ? colorStatus(cell) : cell;
+    }));
+
+    const messages = records.map((record) => record?.error?.message ?? record?.skipReason);
+    if (new Set(messages).size > 1) {
+      messages.forEach((message, column) => {
+        if (message !== undefined) lines.push(` \u2022 ${implementations[column]}: ${message}`);
+      });
+    }
+  }
+
+  lines.push(`\n${differences.length} of ${total} tests had different results.`);
+  return lines.join('\n');
+}
@@ -0,0 +1,271 @@
+import fs from 'node:fs';
+import { getPercentage } from './reporters.mjs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { promisify } from 'node:util';
+
+const UTF8 = { encoding: 'utf-8' };
+
+/**
+ * Coverage of the polyfill is collected with V8's precise coverage, through
+ * the inspector of each child process that runs tests. The block counts that
+ * V8 reports are converted into counts for each line and each function of the
+ * polyfill's files, which can be sent to the main process and added up there.
+ *
+ * A line's count is that of the innermost block or function that contains the
+ * line's first non-whitespace character. Blank lines don't count as code.
+ *
+ * @typedef {Object} FileCoverage
+ * @property {string} file Absolute filename.
+ * @property {Array<number|null>} lines Count for each line, or null for
+ *   blank lines.
+ * @property {FunctionCoverage[]} functions All functions in the file except
+ *   the top-level code, in source order.
+ *
+ * @typedef {Object} FunctionCoverage
+ * @property {string} name Name of the function as V8 infers it, or
+ *   `'(anonymous)'`.
+ * @property {number} line One-based line where the function starts.
+ * @property {number} column One-based column where the function starts.
+ * @property {number} count How often the function was called.
+ */
+
+/**
+ * Starts collecting coverage in this process. Each call of `takeCoverage()`
+ * returns the coverage since the previous call, for the files that
+ * `getSources()` returns.
+ *
+ * @param {() => Map<string, string>} getSources Returns the code of each
+ *   file to collect coverage for, by absolute filename.
+ * @returns {Promise<{ takeCoverage: () => Promise<FileCoverage[]> }>}
+ */
+export async function startCoverage(getSources) {
+  // The inspector is only loaded in processes that collect coverage. Its
+  // promise API needs Node 19, so the callback API is promisified instead.
+  const { Session } = await import('node:inspector');
+  const session = new Session();
+  session.connect();
+  const post = promisify(session.post.bind(session));
+  await post('Profiler.enable');
+  await post('Profiler.startPreciseCoverage', { callCount: true, detailed: true });
+
+  async function takeCoverage() {
+    const { result } = await post('Profiler.takePreciseCoverage');
+    // V8 identifies scripts by URL. Tests have a sourceURL, which isn't
+    // necessarily a valid file URL.
+    const filesByUrl = new Map([...getSources().keys()].map((file) => [pathToFileURL(file).href, file]));
+    const sources = getSources();
+    return result.flatMap(({ url, functions }) => {
+      const file = filesByUrl.get(url);
+      if (file === undefined) return [];
+      return [summarizeScriptCoverage(file, sources.get(file), functions)];
+    });
+  }
+
+  return { takeCoverage };
+}
+
+// Converts V8's coverage of one script into a FileCoverage. V8's ranges are
+// either nested or disjoint, so going through them sorted by start offset,
+// with a stack of the ranges that are open, gives the innermost range at each
+// line.
+function summarizeScriptCoverage(file, code, v8Functions) {
+  const { lineStarts, codeOffsets } = getLineInfo(code);
+  const ranges = v8Functions
+    .flatMap(({ ranges }) => ranges)
+    .sort((a, b) => a.startOffset - b.startOffset || b.endOffset - a.endOffset);
+  const open = [];
+  let nextRange = 0;
+  const lines = codeOffsets.map((offset) => {
+    if (offset === null) return null;
+    while (nextRange < ranges.length && ranges[nextRange].startOffset <= offset) {
+      const range = ranges[nextRange++];
+      while (open.length > 0 && open.at(-1).endOffset <= range.startOffset) open.pop();
+      open.push(range);
+    }
+    while (open.length > 0 && open.at(-1).endOffset <= offset) open.pop();
+    return open.at(-1)?.count ?? null;
+  });
+
+  // The range of the top-level code spans the whole script
+  const functions = v8Functions
+    .filter(({ ranges: [{ startOffset, endOffset }] }) => startOffset > 0 || endOffset < code.length)
+    .map(({ functionName, ranges: [{ startOffset, count }] }) => {
+      const line = findLine(lineStarts, startOffset);
+      return { name: functionName || '(anonymous)', line: line + 1, column: startOffset - lineStarts[line] + 1, count };
+    })
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+
+  return { file, lines, functions };
+}
+
+// Map from source code to the offset at which each line starts, and the
+// offset of each line's first non-whitespace character, or null for blank
+// lines. A module polyfill is parsed anew for each test, but from the same
+// string.
+const lineInfoCache = new Map();
+function getLineInfo(code) {
+  if (!lineInfoCache.has(code)) {
+    const lineStarts = [0];
+    for (const { index } of code.matchAll(/\n/g)) lineStarts.push(index + 1);
+    // A final newline doesn't start another line
+    if (lineStarts.length > 1 && lineStarts.at(-1) === code.length) lineStarts.pop();
+    const codeOffsets = lineStarts.map((start, line) => {
+      const indent = code.slice(start, lineStarts[line + 1] ?? code.length).search(/\S/);
+      return indent === -1 ? null : start + indent;
+    });
+    lineInfoCache.set(code, { lineStarts, codeOffsets });
+  }
+  return lineInfoCache.get(code);
+}
+
+// Zero-based index of the line that contains the offset
+function findLine(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+}
+
+/**
+ * Identifies a function in reports, since names alone aren't unique, for
+ * example `"round (4021:3)"`.
+ *
+ * @param {FunctionCoverage} func
+ */
+export function getFunctionKey({ name, line, column }) {
+  return `${name} (${line}:${column})`;
+}
+
+/**
+ * Adds up coverage from any number of processes and tests, and writes the
+ * reports. With per-test coverage, it also keeps track of which tests called
+ * each function.
+ *
+ * @returns {{
+ *   addCoverage: (fileCoverages: FileCoverage[]) => void,
+ *   addTestCoverage: (testRelPath: string, fileCoverages: FileCoverage[]) => void,
+ *   getCoverage: () => FileCoverage[],
+ *   writeReports: (dir: string) => CoverageSummary
+ * }}
+ */
+export function createCoverageCollector() {
+  // Map from filename to { lines, functions: Map from key to FunctionCoverage }
+  const files = new Map();
+  // Map from filename to Map from function key to Set of test paths
+  const testsByFunction = new Map();
+
+  function addCoverage(fileCoverages) {
+    for (const { file, lines, functions } of fileCoverages) {
+      if (!files.has(file)) files.set(file, { lines: lines.map((count) => count === null ? null : 0), functions: new Map() });
+      const total = files.get(file);
+      lines.forEach((count, index) => {
+        if (count !== null) total.lines[index] += count;
+      });
+      for (const func of functions) {
+        const key = getFunctionKey(func);
+        const existing = total.functions.get(key);
+        total.functions.set(key, existing ? { ...existing, count: existing.count + func.count } : { ...func });
+      }
+    }
+  }
+
+  // Functions that run while the polyfill is loaded are attributed to every
+  // test, since the polyfill is loaded anew for each test
+  function addTestCoverage(testRelPath, fileCoverages) {
+    for (const { file, functions } of fileCoverages) {
+      if (!testsByFunction.has(file)) testsByFunction.set(file, new Map());
+      const byFunction = testsByFunction.get(file);
+      for (const func of functions) {
+        if (func.count === 0) continue;
+        const key = getFunctionKey(func);
+        if (!byFunction.has(key)) byFunction.set(key, new Set());
+        byFunction.get(key).add(testRelPath);
+      }
+    }
+  }
+
+  function getCoverage() {
+    return [...files].map(([file, { lines, functions }]) => ({ file, lines, functions: [...functions.values()] }));
+  }
+
+  function writeReports(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const fileCoverages = getCoverage().sort((a, b) => a.file.localeCompare(b.file));
+    const summary = summarizeCoverage(fileCoverages);
+
+    fs.writeFileSync(path.join(dir, 'lcov.info'), fileCoverages.map(formatLcovRecord).join(''), UTF8);
+    const jsonSummary = { total: formatJsonTotals(summary.total) };
+    summary.files.forEach(({ file, ...totals }) => jsonSummary[file] = formatJsonTotals(totals));
+    fs.writeFileSync(path.join(dir, 'coverage-summary.json'), JSON.stringify(jsonSummary, null, 2) + '\n', UTF8);
+
+    if (testsByFunction.size > 0) {
+      const report = {};
+      for (const { file, functions } of fileCoverages) {
+        const byFunction = testsByFunction.get(file) ?? new Map();
+        report[file] = Object.fromEntries(functions
+          .map((func) => getFunctionKey(func))
+          .filter((key) => byFunction.has(key))
+          .map((key) => [key, [...byFunction.get(key)].sort()]));
+      }
+      fs.writeFileSync(path.join(dir, 'tests-by-function.json'), JSON.stringify(report, null, 2) + '\n', UTF8);
+    }
+    return { dir, ...summary };
+  }
+
+  return { addCoverage, addTestCoverage, getCoverage, writeReports };
+}
+
+/**
+ * Totals of covered lines and functions, per file and over all files.
+ *
+ * @typedef {Object} CoverageTotals
+ * @property {{ total: number, covered: number }} lines
+ * @property {{ total: number, covered: number }} functions
+ *
+ * @typedef {Object} CoverageSummary
+ * @property {string} dir Directory the reports were written to.
+ * @property {CoverageTotals} total
+ * @property {Array<CoverageTotals & { file: string }>} files
+ */
+function summarizeCoverage(fileCoverages) {
+  const count = (counts) => ({ total: counts.length, covered: counts.filter((n) => n > 0).length });
+  const files = fileCoverages.map(({ file, lines, functions }) => ({
+    file,
+    lines: count(lines.filter((n) => n !== null)),
+    functions: count(functions.map((func) => func.count))
+  }));
+  const add = (key) => ({
+    total: files.reduce((sum, totals) => sum + totals[key].total, 0),
+    covered: files.reduce((sum, totals) => sum + totals[key].covered, 0)
+  });
+  return { total: { lines: add('lines'), functions: add('functions') }, files };
+}
+
+// Same shape as Istanbul's json-summary report, for the metrics that are
+// collected
+function formatJsonTotals({ lines, functions }) {
+  const format = ({ total, covered }) => ({ total, covered, skipped: 0, pct: getPercentage(covered, total) });
+  return { lines: format(lines), functions: format(functions) };
+}
+
+function formatLcovRecord({ file, lines, functions }) {
+  const out = ['TN:', `SF:${file}`];
+  for (const func of functions) out.push(`FN:${func.line},${getFunctionKey(func)}`);
+  for (const func of functions) out.push(`FNDA:${func.count},${getFunctionKey(func)}`);
+  out.push(`FNF:${functions.length}`, `FNH:${functions.filter(({ count }) => count > 0).length}`);
+  let found = 0;
+  let hit = 0;
+  lines.forEach((count, index) => {
+    if (count === null) return;
+    out.push(`DA:${index + 1},${count}`);
+    found++;
+    if (count > 0) hit++;
+  });
+  out.push(`LF:${found}`, `LH:${hit}`, 'end_of_record');
+  return out.join('\n') + '\n';
+}
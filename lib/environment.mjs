@@ -0,0 +1,181 @@
+import { InvalidOptionError } from './errors.mjs';
+import path from 'node:path';
+import process from 'node:process';
+import vm from 'node:vm';
+
+/**
+ * Control over the parts of the host environment that Temporal and Intl tests
+ * depend on: the default time zone, the default locale, and the current time.
+ *
+ * The time zone can only be set for the whole process, through the `TZ`
+ * environment variable, which Node also applies to worker threads. The locale
+ * and the clock are set up in each test's VM context by a script that runs
+ * before the polyfill, so the polyfill sees them as built-in behavior.
+ *
+ * @typedef {Object} Environment
+ * @property {string=} timeZone IANA time zone identifier, such as
+ *   `'America/New_York'`.
+ * @property {string=} locale BCP 47 language tag, such as `'de-DE'`.
+ * @property {number|string=} now Current time, as epoch milliseconds or as a
+ *   string that `Date.parse()` accepts.
+ * @property {boolean=} freezeClock Whether the clock stays at `now`, or starts
+ *   there and advances in real time. Default is true.
+ */
+
+/**
+ * Checks the environment options, and converts `now` to epoch milliseconds.
+ *
+ * @param {Environment} environment
+ * @returns {Environment}
+ * @throws {InvalidOptionError} If an option is not valid.
+ */
+export function validateEnvironment({ timeZone, locale, now, freezeClock = true }) {
+  if (timeZone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone });
+    } catch {
+      throw new InvalidOptionError(`Invalid time zone "${timeZone}"`);
+    }
+  }
+  if (locale !== undefined) {
+    try {
+      Intl.getCanonicalLocales(locale);
+    } catch {
+      throw new InvalidOptionError(`Invalid locale "${locale}"`);
+    }
+  }
+  if (now !== undefined) {
+    const epochMilliseconds = typeof now === 'number' ? now : Date.parse(now);
+    if (!Number.isFinite(epochMilliseconds)) throw new InvalidOptionError(`Invalid time "${now}"`);
+    now = epochMilliseconds;
+  }
+  return { timeZone, locale, now, freezeClock };
+}
+
+/**
+ * Name of an environment in reports, for example
+ * `"timeZone=Asia/Tokyo locale=ja-JP"`, or `"host defaults"` if neither is set.
+ */
+export function getEnvironmentName({ timeZone, locale }) {
+  const settings = Object.entries({ timeZone, locale })
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${value}`);
+  return settings.join(' ') || 'host defaults';
+}
+
+/**
+ * In a matrix run, each entry gets its own output files, so the environment
+ * name is inserted before the file extension, as in
+ * `test262-results.timeZone_Asia_Tokyo_locale_ja-JP.json`. Outside of matrix
+ * runs, where there is no environment name, the filename is returned as is.
+ */
+export function getEnvironmentFilename(filename, environmentName) {
+  if (!environmentName) return filename;
+  const { dir, name, ext } = path.parse(filename);
+  return path.join(dir, `${name}.${environmentName.replace(/[^\w.-]+/g, '_')}${ext}`);
+}
+
+/**
+ * Calls `fn` with the process's `TZ` environment variable set to the time zone,
+ * and restores it when `fn` has returned, or when the promise it returns has
+ * settled.
+ */
+export function withTimeZone(timeZone, fn) {
+  if (timeZone === undefined) return fn();
+
+  const previous = process.env.TZ;
+  const restore = () => {
+    if (previous === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = previous;
+    }
+  };
+  process.env.TZ = timeZone;
+  let result;
+  try {
+    result = fn();
+  } catch (e) {
+    restore();
+    throw e;
+  }
+  if (typeof result?.then !== 'function') {
+    restore();
+    return result;
+  }
+  return result.finally(restore);
+}
+
+/**
+ * Returns a vm.Script that sets up the locale and the clock in the context it
+ * runs in, or undefined if neither is set.
+ *
+ * @param {{ locale?: string, now?: number, freezeClock?: boolean }} environment
+ *   Validated environment, with `now` in epoch milliseconds.
+ * @returns {vm.Script=}
+ */
+export function createEnvironmentScript({ locale, now, freezeClock }) {
+  if (locale === undefined && now === undefined) return undefined;
+  const config = JSON.stringify({ locale, now, freezeClock });
+  return new vm.Script(`(${setUpContext})(${config});`, { filename: 'temporal-test262-environment.js' });
+}
+
+// Runs inside the test's context, so it can only use the context's built-ins.
+// Built-ins are replaced by proxies rather than wrapper functions, so that
+// their name, length, prototype, and subclassing keep working, and the
+// constructor property of the prototype is pointed at the proxy.
+function setUpContext({ locale, now, freezeClock }) {
+  function replace(object, name, handler) {
+    const original = object[name];
+    const replacement = new Proxy(original, handler);
+    Object.defineProperty(object, name, { ...Object.getOwnPropertyDescriptor(object, name), value: replacement });
+    if (Object.getOwnPropertyDescriptor(original, 'prototype')?.value?.constructor === original) {
+      Object.defineProperty(original.prototype, 'constructor', { value: replacement });
+    }
+    return replacement;
+  }
+
+  // The locales argument is where the default locale would otherwise be used
+  function defaultLocaleAt(index) {
+    const withLocale = (args) => {
+      const result = [...args];
+      if (result[index] === undefined) result[index] = locale;
+      return result;
+    };
+    return {
+      apply: (target, thisArg, args) => Reflect.apply(target, thisArg, withLocale(args)),
+      construct: (target, args, newTarget) => Reflect.construct(target, withLocale(args), newTarget)
+    };
+  }
+
+  if (locale !== undefined) {
+    for (const name of ['Collator', 'DateTimeFormat', 'DisplayNames', 'DurationFormat', 'ListFormat', 'NumberFormat', 'PluralRules', 'RelativeTimeFormat', 'Segmenter']) {
+      if (typeof Intl[name] === 'function') replace(Intl, name, defaultLocaleAt(0));
+    }
+    for (const name of ['toLocaleString', 'toLocaleDateString', 'toLocaleTimeString']) {
+      replace(Date.prototype, name, defaultLocaleAt(0));
+    }
+    replace(Number.prototype, 'toLocaleString', defaultLocaleAt(0));
+    replace(BigInt.prototype, 'toLocaleString', defaultLocaleAt(0));
+    replace(String.prototype, 'toLocaleLowerCase', defaultLocaleAt(0));
+    replace(String.prototype, 'toLocaleUpperCase', defaultLocaleAt(0));
+    replace(String.prototype, 'localeCompare', defaultLocaleAt(1));
+  }
+
+  if (now !== undefined) {
+    const realNow = Date.now;
+    const realStart = realNow();
+    const currentTime = freezeClock ? () => now : () => now + (realNow() - realStart);
+    // Date() without arguments, called with or without new, uses the current
+    // time. The polyfill's Temporal.Now gets the time from Date.now().
+    const OriginalDate = Date;
+    replace(globalThis, 'Date', {
+      apply: () => new OriginalDate(currentTime()).toString(),
+      construct: (target, args, newTarget) => Reflect.construct(target, args.length === 0 ? [currentTime()] : args, newTarget)
+    });
+    Object.defineProperty(OriginalDate, 'now', {
+      ...Object.getOwnPropertyDescriptor(OriginalDate, 'now'),
+      value: { now: () => currentTime() }.now
+    });
+  }
+}
@@ -0,0 +1,62 @@
+// Errors that runTest262() throws when it can't run any tests at all, as
+// opposed to tests failing. Callers such as the CLI can use the class to decide
+// what to tell the user and which exit code to use.
+
+export class Test262RunnerError extends Error {
+  name = 'Test262RunnerError';
+}
+
+// The test262 directory doesn't contain a `test` subdirectory
+export class MissingTest262DirectoryError extends Test262RunnerError {
+  name = 'MissingTest262DirectoryError';
+
+  constructor(testSubdirectory) {
+    super(`Missing Test262 directory ${testSubdirectory}. Try initializing the submodule with 'git submodule update --init'`);
+    this.testSubdirectory = testSubdirectory;
+  }
+}
+
+// None of the test globs matched any test files
+export class NoTestsFoundError extends Test262RunnerError {
+  name = 'NoTestsFoundError';
+
+  constructor() {
+    super('No test files found. Nothing to do.');
+  }
+}
+
+// The polyfill can't be loaded in this environment
+export class UnsupportedPolyfillError extends Test262RunnerError {
+  name = 'UnsupportedPolyfillError';
+}
+
+// An option has a value that the runner can't use
+export class InvalidOptionError extends Test262RunnerError {
+  name = 'InvalidOptionError';
+}
+
+// An expected-failure file can't be read
+export class ExpectedFailureFileError extends Test262RunnerError {
+  name = 'ExpectedFailureFileError';
+
+  constructor(expectedFailureFile, reason) {
+    super(`Can't read expected-failure file ${expectedFailureFile}: ${reason}`);
+    this.expectedFailureFile = expectedFailureFile;
+  }
+}
+
+// The baseline to compare the results with can't be read
+export class BaselineError extends Test262RunnerError {
+  name = 'BaselineError';
+
+  constructor(baselineFile, reason) {
+    super(`Can't read baseline ${baselineFile}: ${reason}`);
+    this.baselineFile = baselineFile;
+  }
+}
+
+// bisectTest262() can't bisect, because a git command failed or the test
+// doesn't pass at the good revision and fail at the bad one
+export class BisectError extends Test262RunnerError {
+  name = 'BisectError';
+}
@@ -0,0 +1,372 @@
+import { AgentHost, createRealm, getUnsupportedCapability } from './host.mjs';
+import { createEnvironmentScript } from './environment.mjs';
+import { createModuleLoader, MODULES_AVAILABLE, MODULES_FLAG } from './modules.mjs';
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { UnsupportedPolyfillError } from './errors.mjs';
+import util from 'node:util';
+import vm from 'node:vm';
+
+const UTF8 = { encoding: 'utf-8' };
+
+// Suffixes that identify the mode of a test run, in reports and in
+// expected-failure files
+export const STRICT_MODE_SUFFIX = '(strict mode)';
+export const NON_STRICT_MODE_SUFFIX = '(non-strict mode)';
+export const MODE_SUFFIX_REGEX = / \((?:non-)?strict mode\)$/;
+
+/**
+ * Runs individual test262 tests, each in a fresh VM context with the Temporal
+ * polyfill loaded. This is shared between the main thread and worker threads,
+ * so everything it returns must be structured-cloneable.
+ *
+ * Tests with the `module` flag, and all tests if the polyfill is an ES module,
+ * need `vm.SourceTextModule`, whose modules are linked asynchronously. For
+ * those tests, `runTest()` returns a promise.
+ *
+ * @typedef {Object} TestRun
+ * @property {string} testFile Path of the test file.
+ * @property {string} testCode Contents of the test file, including sourceURL.
+ * @property {Object} frontmatter Parsed YAML frontmatter of the test file.
+ * @property {boolean} strict Whether to run the test in strict mode.
+ *
+ * @typedef {Object} TestResult
+ * @property {SerializedError=} error Reason for the failure, or undefined if
+ *   the test passed.
+ * @property {string=} skipReason If present, the test was not run because it
+ *   needs something from the host that the runner can't provide.
+ * @property {bigint} ns How long the test took, in nanoseconds.
+ *
+ * @typedef {Object} SerializedError
+ * @property {string} message
+ * @property {string=} stack
+ * @property {string=} code Node.js error code, if any. Notably,
+ *   `ERR_SCRIPT_EXECUTION_TIMEOUT` if the test timed out.
+ * @property {string=} inspected Full description of the error as printed by
+ *   `util.inspect()`, or undefined if the message alone describes it (as for
+ *   assertion failures).
+ *
+ * @param {Object} options
+ * @param {string} options.test262Dir Root directory of the test262 repo.
+ * @param {string=} options.polyfillCodeFile Filename of the Temporal polyfill,
+ *   or undefined to test the host's built-in Temporal.
+ * @param {boolean} options.polyfillIsModule Whether the polyfill is an ES
+ *   module rather than a script.
+ * @param {number} options.timeoutMsecs Timeout for each test.
+ * @param {boolean} options.colors Whether to colorize inspected errors.
+ * @param {{ locale?: string, now?: number, freezeClock?: boolean }=} options.environment
+ *   Default locale and clock to set up in each realm before the polyfill is
+ *   loaded. The time zone is set for the whole process by the caller.
+ * @param {boolean=} options.sync If true, `runTest()` never returns a promise.
+ *   Module tests are skipped, and a module polyfill is an error.
+ * @returns {{
+ *   runTest: (testRun: TestRun) => TestResult | Promise<TestResult>,
+ *   getPolyfillSources: () => Map<string, string>
+ * }}
+ * @throws {UnsupportedPolyfillError} If the polyfill is an ES module, and
+ *   `sync` is true or Node wasn't started with --experimental-vm-modules.
+ */
+export function createTestExecutor({ test262Dir, polyfillCodeFile, polyfillIsModule, timeoutMsecs, colors, environment = {}, sync }) {
+  const { parseModule, linkModule, evaluateModule, loadModule, getSources } = createModuleLoader();
+  const environmentScript = createEnvironmentScript(environment);
+
+  // Prepare Temporal polyfill. This vm.Script gets executed once for each test,
+  // in a fresh VM context. A module polyfill has to be linked anew in each
+  // context, but the module loader keeps its source and code cache.
+
+  let polyfill;
+  let polyfillCode;
+  if (polyfillIsModule) {
+    if (sync) throw new UnsupportedPolyfillError('ES module polyfills can only be run by runTest262Async()');
+    if (!MODULES_AVAILABLE) {
+      throw new UnsupportedPolyfillError(`ES module polyfills need Node to be started with ${MODULES_FLAG}, or to run in worker threads`);
+    }
+  } else if (polyfillCodeFile !== undefined) {
+    polyfillCode = fs.readFileSync(polyfillCodeFile, UTF8);
+    polyfill = new vm.Script(polyfillCode, { filename: path.resolve(polyfillCodeFile) });
+  }
+
+  // This function reads in a test262 harness helper file, specified in 'includes'
+  // in the frontmatter, and caches the resulting vm.Script so it can be used in
+  // future tests that also include it.
+
+  const helpersCache = new Map();
+  function getHelperScript(includeName) {
+    if (helpersCache.has(includeName)) return helpersCache.get(includeName);
+
+    const includeFile = path.join(test262Dir, 'harness', includeName);
+    const includeCode = fs.readFileSync(includeFile, UTF8);
+    const include = new vm.Script(includeCode, {filename: path.resolve(includeFile)});
+
+    helpersCache.set(includeName, include);
+    return include;
+  }
+
+  function runTest(testRun) {
+    const { frontmatter } = testRun;
+    const skipReason = getUnsupportedCapability(frontmatter) ?? getUnsupportedModuleCapability(frontmatter);
+    if (skipReason) return { skipReason, ns: 0n };
+
+    const agentHost = new AgentHost();
+    if (polyfillIsModule || isModuleTest(frontmatter)) {
+      return runTestAsync(testRun, agentHost).finally(() => agentHost.close());
+    }
+    try {
+      return runTestInRealm(testRun, createTestRealm(agentHost));
+    } finally {
+      agentHost.close();
+    }
+  }
+
+  function getUnsupportedModuleCapability(frontmatter) {
+    if (!isModuleTest(frontmatter)) return undefined;
+    if (sync) return 'module tests can only be run by runTest262Async()';
+    if (!MODULES_AVAILABLE) return `module tests need Node to be started with ${MODULES_FLAG}, or to run in worker threads`;
+    return undefined;
+  }
+
+  async function runTestAsync(testRun, agentHost) {
+    const realm = polyfillIsModule ? await createTestRealmAsync(testRun.testCode, agentHost) : createTestRealm(agentHost);
+    if (isModuleTest(testRun.frontmatter)) return runModuleTestInRealm(testRun, realm);
+    return runTestInRealm(testRun, realm);
+  }
+
+  // Sets up the VM context for a test with the environment and the polyfill
+  // first, as if they were built-in. Realms created with $262.createRealm() get the polyfill as well.
+  function createTestRealm(agentHost) {
+    const { print, printedLines } = createPrint();
+    function createPolyfilledRealm() {
+      const realm = createRealm({ print, agentHost, createChildRealm: createPolyfilledRealm });
+      environmentScript?.runInContext(realm.context);
+      polyfill?.runInContext(realm.context);
+      return realm;
+    }
+    return { context: createPolyfilledRealm().context, printedLines };
+  }
+
+  // Loading a module polyfill is asynchronous, but $262.createRealm() has to
+  // return synchronously. So the realms that it returns are created up front,
+  // one for each time that createRealm() appears in the test code, which can
+  // also be on the $262 object of another realm.
+  async function createTestRealmAsync(testCode, agentHost) {
+    const { print, printedLines } = createPrint();
+    const realms = [];
+    function takeSpareRealm() {
+      if (realms.length === 0) {
+        throw new Error('$262.createRealm() was called more often than it appears in the test code');
+      }
+      return realms.shift();
+    }
+    const realmCount = 1 + (testCode.match(/\.createRealm\(/g)?.length ?? 0);
+    for (let i = 0; i < realmCount; i++) {
+      const realm = createRealm({ print, agentHost, createChildRealm: takeSpareRealm });
+      environmentScript?.runInContext(realm.context);
+      await loadModule(polyfillCodeFile, realm.context);
+      realms.push(realm);
+    }
+    return { context: takeSpareRealm().context, printedLines };
+  }
+
+  function loadIncludes(frontmatter, testContext) {
+    getIncludes(frontmatter).forEach((includeName) => {
+      getHelperScript(includeName).runInContext(testContext);
+    });
+  }
+
+  function runTestInRealm({ testFile, testCode, frontmatter, strict }, { context: testContext, printedLines }) {
+    const { negative } = frontmatter;
+    loadIncludes(frontmatter, testContext);
+
+    // Time each test individually in order to report if they take longer than
+    // 100 ms
+    const testStart = process.hrtime.bigint();
+
+    let error;
+    try {
+      // Keep track of how far the test got, so that negative tests can check
+      // that their error was thrown in the expected phase
+      let phase = 'parse';
+      let threw = false;
+      let thrown;
+      try {
+        // The directive is prepended on the same line in order to keep line
+        // numbers in stack traces correct.
+        const code = strict ? `'use strict'; ${testCode}` : testCode;
+        const testScript = new vm.Script(code, { filename: testFile });
+        phase = 'runtime';
+        testScript.runInContext(testContext, { timeout: timeoutMsecs });
+      } catch (e) {
+        if (!negative) throw e;
+        threw = true;
+        thrown = e;
+      }
+      checkOutcome(frontmatter, { phase, threw, error: thrown }, testContext, printedLines);
+    } catch (e) {
+      error = serializeError(e, colors);
+    }
+
+    const testFinish = process.hrtime.bigint();
+    return { error, ns: testFinish - testStart };
+  }
+
+  // Same as runTestInRealm(), but for tests with the module flag. Module code
+  // is always strict. Modules have an additional phase, resolution, in which
+  // their imports are loaded relative to the test file.
+  async function runModuleTestInRealm({ testFile, testCode, frontmatter }, { context: testContext, printedLines }) {
+    const { negative } = frontmatter;
+    loadIncludes(frontmatter, testContext);
+
+    const testStart = process.hrtime.bigint();
+
+    let error;
+    try {
+      let phase = 'parse';
+      let threw = false;
+      let thrown;
+      try {
+        const testModule = parseModule(path.resolve(testFile), testContext, testCode);
+        phase = 'resolution';
+        await linkModule(testModule);
+        phase = 'runtime';
+        await evaluateModule(testModule, timeoutMsecs);
+      } catch (e) {
+        if (!negative) throw e;
+        threw = true;
+        thrown = e;
+      }
+      checkOutcome(frontmatter, { phase, threw, error: thrown }, testContext, printedLines);
+    } catch (e) {
+      error = serializeError(e, colors);
+    }
+
+    const testFinish = process.hrtime.bigint();
+    return { error, ns: testFinish - testStart };
+  }
+
+  // Code of the polyfill's files by absolute filename. For a module polyfill,
+  // these are the files that have been loaded so far, except for the fixtures
+  // that module tests import from test262's test directory.
+  function getPolyfillSources() {
+    if (!polyfillIsModule) {
+      return new Map(polyfill ? [[path.resolve(polyfillCodeFile), polyfillCode]] : []);
+    }
+    const testDir = path.resolve(test262Dir, 'test') + path.sep;
+    return new Map([...getSources()].filter(([filename]) => !filename.startsWith(testDir)));
+  }
+
+  return { runTest, getPolyfillSources };
+}
+
+/**
+ * Returns the names of the harness files that a test needs, in the order in
+ * which they are loaded. As per the test262 execution instructions, assert.js
+ * and sta.js are always executed even if not specified, unless the raw flag is
+ * given. Async tests additionally get doneprintHandle.js, which defines $DONE()
+ * in terms of print().
+ *
+ * @param {Object} frontmatter Parsed YAML frontmatter of the test file.
+ * @returns {string[]} Filenames relative to the `harness` directory.
+ */
+export function getIncludes({ flags = [], includes = [] }) {
+  const result = [...includes];
+  if (flags.includes('async')) result.unshift('doneprintHandle.js');
+  if (!flags.includes('raw')) result.unshift('assert.js', 'sta.js');
+  return result;
+}
+
+export function isModuleTest({ flags = [] }) {
+  return flags.includes('module');
+}
+
+// The print() function is provided by the host as per the test262 execution
+// instructions, and is how async tests report their result.
+function createPrint() {
+  const printedLines = [];
+  const print = (...args) => {
+    printedLines.push(args.join(' '));
+  };
+  return { print, printedLines };
+}
+
+// Checks the outcome of a test that ran to completion or threw, for negative
+// and async tests
+function checkOutcome({ flags = [], negative }, attempt, testContext, printedLines) {
+  if (negative) checkNegativeOutcome(negative, attempt, testContext, flags.includes('module'));
+  else if (flags.includes('async')) checkAsyncOutcome(printedLines);
+}
+
+// Base class for failures that are detected by the runner after the test code
+// has finished, rather than thrown by the test itself. Only their message is
+// printed in the summary, as with Test262Error.
+class TestOutcomeError extends Error {}
+
+// Thrown when a test with `negative` frontmatter didn't throw the expected
+// error in the expected phase.
+class NegativeOutcomeError extends TestOutcomeError {
+  name = 'NegativeOutcomeError';
+}
+
+// Thrown when an async test reported failure through $DONE(), or never called
+// $DONE() at all.
+class AsyncTestFailure extends TestOutcomeError {
+  name = 'AsyncTestFailure';
+}
+
+// Errors can come from the test's VM context and need to be sent between
+// threads, so they are converted into plain objects. The stack of errors
+// detected by the runner only points into the runner, so it is left out.
+function serializeError(error, colors) {
+  const isAssertion = error?.constructor?.name === 'Test262Error' || error instanceof TestOutcomeError;
+  const hasUsefulStack = typeof error?.stack === 'string' && !(error instanceof TestOutcomeError);
+  return {
+    message: String(error?.message ?? error),
+    stack: hasUsefulStack ? error.stack : undefined,
+    code: typeof error?.code === 'string' ? error.code : undefined,
+    inspected: isAssertion ? undefined : util.inspect(error, { colors })
+  };
+}
+
+function describeError(error) {
+  if (typeof error !== 'object' || error === null) return `non-error value ${String(error)}`;
+  const name = error.constructor?.name ?? 'Error';
+  return error.message ? `${name} (${error.message})` : name;
+}
+
+// Checks the outcome of running a test against the `negative: { phase, type }`
+// block from its frontmatter, throwing NegativeOutcomeError if they don't
+// match. Errors thrown at runtime must be instances of the named constructor
+// from the test's own VM context. Parse errors of scripts are thrown by the
+// vm.Script constructor, which compiles the code in this realm, so those are
+// checked against this realm's constructor instead. Modules are compiled in
+// the test's context, so their parse errors come from there.
+function checkNegativeOutcome({ phase: expectedPhase, type }, { phase, threw, error }, testContext, isModule) {
+  const expected = `expected ${type} at ${expectedPhase}`;
+  if (!threw) {
+    throw new NegativeOutcomeError(`${expected}, but no error was thrown`);
+  }
+  if (phase !== expectedPhase) {
+    throw new NegativeOutcomeError(`${expected}, got ${describeError(error)} at ${phase}`);
+  }
+  const realm = phase === 'parse' && !isModule ? globalThis : vm.runInContext('this', testContext);
+  const expectedConstructor = realm[type];
+  if (typeof expectedConstructor !== 'function') {
+    throw new NegativeOutcomeError(`${expected}, but ${type} is not a constructor`);
+  }
+  if (!(error instanceof expectedConstructor)) {
+    throw new NegativeOutcomeError(`${expected}, got ${describeError(error)}`);
+  }
+}
+
+// Checks the lines printed by an async test for the completion message that
+// doneprintHandle.js's $DONE() prints, throwing AsyncTestFailure if the test
+// failed or didn't finish.
+function checkAsyncOutcome(printedLines) {
+  for (const line of printedLines) {
+    if (line === 'Test262:AsyncTestComplete') return;
+    if (line.startsWith('Test262:AsyncTestFailure:')) {
+      throw new AsyncTestFailure(line.slice('Test262:AsyncTestFailure:'.length));
+    }
+  }
+  throw new AsyncTestFailure('async test did not call $DONE()');
+}
@@ -0,0 +1,129 @@
+import { MessageChannel, receiveMessageOnPort, Worker } from 'node:worker_threads';
+import { performance } from 'node:perf_hooks';
+import vm from 'node:vm';
+
+/**
+ * Implementation of the `$262` host object that test262 tests expect, as
+ * described in test262's INTERPRETING.md, on top of `node:vm`.
+ *
+ * Each realm is a fresh VM context. The caller loads the polyfill into it, and
+ * provides `createChildRealm()` for `$262.createRealm()` so that further realms
+ * have the polyfill loaded as well. All realms created during one test share an
+ * AgentHost, which must be closed when the test is done.
+ *
+ * @param {Object} options
+ * @param {(...args: string[]) => void} options.print Host print() function.
+ * @param {AgentHost} options.agentHost
+ * @param {() => { $262: Object }} options.createChildRealm Returns a new realm
+ *   with the polyfill loaded, for `$262.createRealm()`.
+ * @returns {{ context: Object, $262: Object }} The new realm's contextified
+ *   object, and its `$262` object.
+ */
+export function createRealm({ print, agentHost, createChildRealm }) {
+  // Microtasks are drained at the end of each runInContext() call, so that
+  // async tests have completed (or timed out) by the time it returns.
+  const context = { print };
+  vm.createContext(context, { microtaskMode: 'afterEvaluate' });
+  const global = vm.runInContext('this', context);
+
+  const $262 = {
+    global,
+
+    createRealm() {
+      return createChildRealm().$262;
+    },
+
+    // Parse errors are thrown by the vm.Script constructor in this realm, so
+    // they are converted into the evaluating realm's SyntaxError.
+    evalScript(code) {
+      let script;
+      try {
+        script = new vm.Script(code);
+      } catch (e) {
+        if (e instanceof SyntaxError) throw new global.SyntaxError(e.message);
+        throw e;
+      }
+      return script.runInContext(context);
+    },
+
+    // Transferring an ArrayBuffer detaches it
+    detachArrayBuffer(buffer) {
+      structuredClone(buffer, { transfer: [buffer] });
+      return null;
+    },
+
+    agent: agentHost.agent
+  };
+
+  // Only available if Node was started with --expose-gc
+  if (typeof globalThis.gc === 'function') $262.gc = globalThis.gc;
+
+  context.$262 = $262;
+  return { context, $262 };
+}
+
+/**
+ * Returns a reason why the runner can't provide what a test needs from the
+ * host, or undefined if it can run the test.
+ */
+export function getUnsupportedCapability({ flags = [], features = [] }) {
+  if (features.includes('IsHTMLDDA')) return '$262.IsHTMLDDA is not available';
+  if (features.includes('host-gc-required') && typeof globalThis.gc !== 'function') {
+    return '$262.gc() requires running Node with --expose-gc';
+  }
+  // The main agent can always block in Node
+  if (flags.includes('CanBlockIsFalse')) return 'the main agent can block';
+  return undefined;
+}
+
+/**
+ * Main-agent side of `$262.agent`. Each agent started by a test runs in its own
+ * worker thread. The test itself runs synchronously, so reports from agents are
+ * received synchronously with receiveMessageOnPort(), and broadcast() blocks
+ * with Atomics.wait() until every agent has received the message.
+ */
+export class AgentHost {
+  #agents = [];
+
+  agent = {
+    start: (source) => {
+      const { port1, port2 } = new MessageChannel();
+      const worker = new Worker(new URL('./agent.mjs', import.meta.url), {
+        workerData: { source, reportPort: port2 },
+        transferList: [port2]
+      });
+      worker.unref();
+      this.#agents.push({ worker, reportPort: port1 });
+    },
+
+    broadcast: (sab, id) => {
+      const received = new Int32Array(new SharedArrayBuffer(4));
+      for (const { worker } of this.#agents) worker.postMessage({ sab, id, received });
+      let count;
+      while ((count = Atomics.load(received, 0)) < this.#agents.length) {
+        Atomics.wait(received, 0, count);
+      }
+    },
+
+    getReport: () => {
+      for (const { reportPort } of this.#agents) {
+        const report = receiveMessageOnPort(reportPort);
+        if (report) return report.message;
+      }
+      return null;
+    },
+
+    sleep: (ms) => {
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+    },
+
+    monotonicNow: () => performance.now()
+  };
+
+  close() {
+    for (const { worker, reportPort } of this.#agents) {
+      worker.terminate();
+      reportPort.close();
+    }
+  }
+}
@@ -0,0 +1,173 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import vm from 'node:vm';
+
+const UTF8 = { encoding: 'utf-8' };
+
+// vm.SourceTextModule only exists if Node was started with
+// --experimental-vm-modules. Worker threads started by runInWorkers() always
+// get that flag.
+export const MODULES_AVAILABLE = typeof vm.SourceTextModule === 'function';
+export const MODULES_FLAG = '--experimental-vm-modules';
+
+const DYNAMIC_IMPORT_REGEX = /\bimport\s*\(/;
+
+/**
+ * Loads ES modules from files into VM contexts, for module polyfills and tests
+ * with the `module` flag. The source of each imported file is read once, and
+ * the V8 code cache is reused when the same file is loaded into another
+ * context, as is the case for the polyfill, which is loaded once for each test.
+ *
+ * Only relative and absolute imports are supported, since there is no
+ * package.json lookup. Bare imports of packages must be bundled into the
+ * polyfill. The same goes for `import()`, which loads the module into the
+ * context of the code that calls it.
+ *
+ * @returns {{
+ *   parseModule: (filename: string, context: Object, code?: string) => vm.SourceTextModule,
+ *   linkModule: (module: vm.SourceTextModule) => Promise<void>,
+ *   evaluateModule: (module: vm.SourceTextModule, timeoutMsecs?: number) => Promise<void>,
+ *   loadModule: (filename: string, context: Object) => Promise<void>,
+ *   getSources: () => Map<string, string>
+ * }}
+ */
+export function createModuleLoader() {
+  // Map from filename to { code, cacheable, cachedData }
+  const sources = new Map();
+  // Map from context to its modules by filename. Modules belong to a context,
+  // so each context gets its own module graph.
+  const contextModules = new WeakMap();
+  // Map from context to the number of times that an import() in it has
+  // started or finished loading
+  const importEvents = new WeakMap();
+
+  // Parses the module in the given file into the context, throwing a
+  // SyntaxError if it can't be parsed. If code is given, it is used instead of
+  // reading the file.
+  function parseModule(filename, context, code) {
+    let source;
+    if (code === undefined) {
+      source = sources.get(filename);
+      if (!source) {
+        const fileCode = fs.readFileSync(filename, UTF8);
+        // A module that is created from the code cache doesn't get its own
+        // importModuleDynamically callback, so files that might use import()
+        // are parsed from scratch each time
+        source = { code: fileCode, cacheable: !DYNAMIC_IMPORT_REGEX.test(fileCode) };
+        sources.set(filename, source);
+      }
+    }
+    const module = new vm.SourceTextModule(code ?? source.code, {
+      identifier: filename,
+      context,
+      cachedData: source?.cachedData,
+      initializeImportMeta(meta) {
+        meta.url = pathToFileURL(filename).href;
+      },
+      importModuleDynamically
+    });
+    if (source?.cacheable && !source.cachedData) source.cachedData = module.createCachedData();
+    getModules(context).set(filename, module);
+    return module;
+  }
+
+  function getModules(context) {
+    if (!contextModules.has(context)) contextModules.set(context, new Map());
+    return contextModules.get(context);
+  }
+
+  // Returns the module in the given file, parsing it if it hasn't been loaded
+  // into the context yet
+  function getModule(filename, context) {
+    return getModules(context).get(filename) ?? parseModule(filename, context);
+  }
+
+  // Parses everything that the module imports, directly or indirectly, and
+  // links them together. Rejects with the error from parsing or resolving an
+  // import.
+  async function linkModule(module) {
+    await module.link((specifier, referencingModule) => {
+      return getModule(resolveSpecifier(specifier, referencingModule.identifier), module.context);
+    });
+  }
+
+  // Called by V8 for import(). The imported module is linked and evaluated
+  // before the promise that import() returns is resolved with it.
+  function importModuleDynamically(specifier, referrer) {
+    const { context } = referrer;
+    const countEvent = () => importEvents.set(context, (importEvents.get(context) ?? 0) + 1);
+    countEvent();
+    return (async () => {
+      const module = getModule(resolveSpecifier(specifier, referrer.identifier), context);
+      if (module.status === 'unlinked') await linkModule(module);
+      if (module.status === 'linked') await startEvaluation(module);
+      return module;
+    })().finally(countEvent);
+  }
+
+  // The context's microtasks are only run after something is evaluated in it,
+  // so they are run right away in order to settle the promise that evaluate()
+  // returns
+  function startEvaluation(module, timeoutMsecs) {
+    const evaluation = module.evaluate({ timeout: timeoutMsecs });
+    vm.runInContext('', module.context, { timeout: timeoutMsecs });
+    return evaluation;
+  }
+
+  // Modules loaded by import() are linked and evaluated outside of the context
+  // that imports them, so the context's microtasks are run again after each
+  // turn of the event loop in which an import() started or finished, in order
+  // to resume the code that waits for it. Once a whole turn goes by without
+  // that, any import() that is still loading is waiting for something that
+  // will never happen.
+  async function settleImports(context, seenEvents, timeoutMsecs) {
+    while ((importEvents.get(context) ?? 0) > seenEvents) {
+      seenEvents = importEvents.get(context);
+      await new Promise((resolve) => setImmediate(resolve));
+      vm.runInContext('', context, { timeout: timeoutMsecs });
+    }
+  }
+
+  // Evaluates a linked module, running the context's microtasks until the
+  // module and the modules that it loads with import() have been evaluated.
+  // That includes the module's promise jobs, so like scripts, async module code
+  // has finished or timed out by the time this resolves. If the promise is
+  // still pending after that, a top-level await is waiting for something that
+  // will never happen.
+  async function evaluateModule(module, timeoutMsecs) {
+    const { context } = module;
+    const seenEvents = importEvents.get(context) ?? 0;
+    const evaluation = startEvaluation(module, timeoutMsecs);
+    // The module may fail while its imports are loading, which is handled below
+    evaluation.catch(() => {});
+    await settleImports(context, seenEvents, timeoutMsecs);
+    const pending = {};
+    const nextTurn = new Promise((resolve) => setImmediate(resolve, pending));
+    if (await Promise.race([evaluation, nextTurn]) === pending) {
+      throw new Error(`top-level await in ${module.identifier} never finished`);
+    }
+  }
+
+  async function loadModule(filename, context) {
+    const module = parseModule(path.resolve(filename), context);
+    await linkModule(module);
+    await evaluateModule(module);
+  }
+
+  // Code of each file that has been loaded so far, by filename
+  function getSources() {
+    return new Map([...sources].map(([filename, { code }]) => [filename, code]));
+  }
+
+  return { parseModule, linkModule, evaluateModule, loadModule, getSources };
+}
+
+function resolveSpecifier(specifier, referrer) {
+  if (specifier.startsWith('file:')) return fileURLToPath(specifier);
+  if (path.isAbsolute(specifier)) return specifier;
+  if (specifier.startsWith('./') || specifier.startsWith('../')) {
+    return path.resolve(path.dirname(referrer), specifier);
+  }
+  throw new Error(`Cannot import "${specifier}" from ${referrer}: only relative and absolute imports are supported`);
+}
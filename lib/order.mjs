@@ -0,0 +1,98 @@
+import { createHash, randomInt } from 'node:crypto';
+import { InvalidOptionError } from './errors.mjs';
+import path from 'node:path';
+
+/**
+ * Which tests a run includes when the suite is split into shards, and in what
+ * order they run. Both depend only on the paths of the tests relative to
+ * test262's `test` directory, with `/` as the separator, so that every job of
+ * a CI run and every platform comes to the same result.
+ *
+ * @typedef {Object} Shard
+ * @property {number} index Which shard to run, from 1 to `total`.
+ * @property {number} total Number of shards that the tests are split into.
+ */
+
+// Seeds are unsigned 32-bit integers, like the state of the generator
+const MAX_SEED = 2 ** 32 - 1;
+
+/**
+ * Checks the shard and seed options.
+ *
+ * @param {{ shard?: Shard, seed?: number }} options
+ * @throws {InvalidOptionError} If an option is not valid.
+ */
+export function validateOrder({ shard, seed }) {
+  if (shard !== undefined) {
+    const { index, total } = shard;
+    if (!Number.isInteger(total) || total < 1 || !Number.isInteger(index) || index < 1 || index > total) {
+      throw new InvalidOptionError(`Invalid shard ${index}/${total}: the index must be from 1 to the total`);
+    }
+  }
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED)) {
+    throw new InvalidOptionError(`Invalid seed ${seed}: it must be an integer from 0 to ${MAX_SEED}`);
+  }
+}
+
+/**
+ * Number of the shard that runs the test, from 1 to `total`. It comes from a
+ * hash of the test's path, so a test stays in its shard when other tests are
+ * added or removed, and both modes of a test are in the same shard.
+ *
+ * @param {string} testRelPath
+ * @param {number} total
+ */
+export function getShardIndex(testRelPath, total) {
+  const hash = createHash('sha256').update(toPosixPath(testRelPath)).digest();
+  return hash.readUInt32BE(0) % total + 1;
+}
+
+/**
+ * Compares test paths by code unit, for sorting them the same way regardless
+ * of platform and locale.
+ */
+export function compareTestPaths(a, b) {
+  a = toPosixPath(a);
+  b = toPosixPath(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Seed for `shuffle()` when the user didn't give one.
+ */
+export function createSeed() {
+  return randomInt(MAX_SEED);
+}
+
+/**
+ * Shuffles the array in place. The same seed always gives the same order of
+ * the same items.
+ *
+ * @param {Array} array
+ * @param {number} seed
+ */
+export function shuffle(array, seed) {
+  const random = createRandom(seed);
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Mulberry32, a small generator that is good enough for shuffling, returning
+// numbers from 0 to 1 like Math.random()
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+function toPosixPath(testRelPath) {
+  return testRelPath.split(path.sep).join('/');
+}
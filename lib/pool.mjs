@@ -0,0 +1,260 @@
+import { fork } from 'node:child_process';
+import { MODULES_FLAG } from './modules.mjs';
+import process from 'node:process';
+import { Worker } from 'node:worker_threads';
+
+// How much of a child process's stderr to keep, for the report if it crashes
+const MAX_STDERR_LENGTH = 4096;
+
+/**
+ * Runs tests across a number of worker threads. Tests are handed out one at a
+ * time, so that the load stays balanced even if some tests are much slower than
+ * others, and so that no more tests are started once `shouldStop()` returns
+ * true.
+ *
+ * @param {import('./executor.mjs').TestRun[]} testRuns
+ * @param {Object} options
+ * @param {number} options.workers Number of worker threads to start.
+ * @param {Object} options.executorOptions Passed to createTestExecutor() in
+ *   each worker.
+ * @param {() => boolean} options.shouldStop Called before starting each test.
+ * @param {(testRun: import('./executor.mjs').TestRun) => void} options.onTestStart
+ *   Called on the main thread when a test is handed to a worker.
+ * @param {(testRun: import('./executor.mjs').TestRun,
+ *   result: import('./executor.mjs').TestResult) => void} options.onResult
+ *   Called on the main thread with the result of each test.
+ * @param {(files: string[]) => void=} options.onPolyfillFiles Called with the
+ *   absolute filenames of the polyfill's files that a worker has loaded,
+ *   whenever there are more of them.
+ * @returns {Promise<import('./executor.mjs').TestRun[]>} Tests that were not
+ *   started because `shouldStop()` returned true.
+ */
+export async function runInWorkers(testRuns, { workers, executorOptions, shouldStop, onTestStart, onResult, onPolyfillFiles }) {
+  // Worker threads share this process's flags, so they only need the one that
+  // lets them use vm.SourceTextModule even if the main thread can't. Passing
+  // all of process.execArgv would fail for flags that only apply to a whole
+  // process, such as --title.
+  const execArgv = [MODULES_FLAG];
+  let nextIndex = 0;
+  const notStarted = [];
+  const runningWorkers = [];
+
+  function runWorker() {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./worker.mjs', import.meta.url), { workerData: executorOptions, execArgv });
+      runningWorkers.push(worker);
+      let finished = false;
+
+      function dispatchNext() {
+        while (nextIndex < testRuns.length && shouldStop()) {
+          notStarted.push(testRuns[nextIndex++]);
+        }
+        if (nextIndex >= testRuns.length) {
+          finished = true;
+          worker.terminate().then(() => resolve(), reject);
+          return;
+        }
+        const index = nextIndex++;
+        onTestStart(testRuns[index]);
+        worker.postMessage({ index, testRun: testRuns[index] });
+      }
+
+      worker.on('message', ({ index, result, polyfillFiles }) => {
+        onResult(testRuns[index], result);
+        if (polyfillFiles) onPolyfillFiles?.(polyfillFiles);
+        dispatchNext();
+      });
+      worker.on('error', reject);
+      worker.on('exit', (code) => {
+        if (!finished) reject(new Error(`Worker thread exited unexpectedly with code ${code}`));
+      });
+      dispatchNext();
+    });
+  }
+
+  const workerCount = Math.max(1, Math.min(workers, testRuns.length));
+  try {
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+  } catch (e) {
+    // Don't leave the other workers running if one of them failed
+    await Promise.all(runningWorkers.map((worker) => worker.terminate()));
+    throw e;
+  }
+  return notStarted;
+}
+
+/**
+ * Runs tests across a number of child processes, so that a test that crashes
+ * the process, for example by running out of memory, doesn't end the whole
+ * run. The test that was running is reported as failed, with the exit code or
+ * signal and the end of the process's stderr, and a new process takes over.
+ * Each process is also replaced after running a number of tests, so that
+ * memory leaks don't build up. Processes exit normally when they are replaced,
+ * so that they write out their coverage if `NODE_V8_COVERAGE` is set.
+ *
+ * With the `coverage` option, each process collects coverage of the polyfill
+ * and sends it before it is replaced. The coverage of a process that crashes
+ * is lost.
+ *
+ * Tests are handed out one at a time, as in `runInWorkers()`.
+ *
+ * @param {import('./executor.mjs').TestRun[]} testRuns
+ * @param {Object} options
+ * @param {number} options.workers Number of child processes to run at once.
+ * @param {number} options.testsPerProcess Number of tests after which a child
+ *   process is replaced by a new one.
+ * @param {number=} options.maxProcessMemoryMB If given, the heap size limit of
+ *   each child process, in megabytes.
+ * @param {Object} options.executorOptions Passed to createTestExecutor() in
+ *   each child process.
+ * @param {{ perTest?: boolean }=} options.coverage If given, coverage of the
+ *   polyfill is collected, and with `perTest`, also for each test.
+ * @param {(fileCoverages: import('./coverage.mjs').FileCoverage[]) => void=} options.onCoverage
+ *   With `coverage`, called with the coverage of each process.
+ * @param {(testRun: import('./executor.mjs').TestRun,
+ *   fileCoverages: import('./coverage.mjs').FileCoverage[]) => void=} options.onTestCoverage
+ *   With per-test coverage, called with the functions that each test called.
+ * @param {() => boolean} options.shouldStop Called before starting each test.
+ * @param {(testRun: import('./executor.mjs').TestRun) => void} options.onTestStart
+ *   Called when a test is handed to a child process.
+ * @param {(testRun: import('./executor.mjs').TestRun,
+ *   result: import('./executor.mjs').TestResult) => void} options.onResult
+ *   Called with the result of each test.
+ * @param {(files: string[]) => void=} options.onPolyfillFiles As for
+ *   `runInWorkers()`.
+ * @returns {Promise<import('./executor.mjs').TestRun[]>} Tests that were not
+ *   started because `shouldStop()` returned true.
+ */
+export async function runInChildProcesses(testRuns, {
+  workers,
+  testsPerProcess,
+  maxProcessMemoryMB,
+  executorOptions,
+  coverage,
+  onCoverage,
+  onTestCoverage,
+  shouldStop,
+  onTestStart,
+  onResult,
+  onPolyfillFiles
+}) {
+  const execArgv = getChildExecArgv();
+  if (maxProcessMemoryMB) execArgv.push(`--max-old-space-size=${maxProcessMemoryMB}`);
+  let nextIndex = 0;
+  const notStarted = [];
+  const runningProcesses = new Set();
+
+  // Returns the index of the next test to run, or undefined if there are none
+  // left or no more should be started
+  function takeNextIndex() {
+    while (nextIndex < testRuns.length && shouldStop()) {
+      notStarted.push(testRuns[nextIndex++]);
+    }
+    return nextIndex < testRuns.length ? nextIndex++ : undefined;
+  }
+
+  // Runs tests in one child process until it has run testsPerProcess tests,
+  // there are no tests left, or it crashes
+  function runProcess() {
+    return new Promise((resolve, reject) => {
+      const child = fork(new URL('./child.mjs', import.meta.url), [], {
+        execArgv,
+        serialization: 'advanced',
+        stdio: ['ignore', 'inherit', 'pipe', 'ipc']
+      });
+      runningProcesses.add(child);
+      let ready = false;
+      let retiring = false;
+      let testsRun = 0;
+      // Index of the test that is running, and when it started
+      let current;
+      let start;
+
+      let stderr = '';
+      child.stderr.setEncoding('utf-8');
+      child.stderr.on('data', (data) => stderr = (stderr + data).slice(-MAX_STDERR_LENGTH));
+
+      function dispatchNext() {
+        current = testsRun < testsPerProcess ? takeNextIndex() : undefined;
+        if (current === undefined) {
+          // Closing the IPC channel lets the process exit by itself, but
+          // first it has to send its coverage
+          retiring = true;
+          if (coverage) child.send({ finish: true });
+          else child.disconnect();
+          return;
+        }
+        stderr = '';
+        start = process.hrtime.bigint();
+        onTestStart(testRuns[current]);
+        child.send({ index: current, testRun: testRuns[current] });
+      }
+
+      child.on('message', (message) => {
+        if (message.coverage) {
+          onCoverage(message.coverage);
+          child.disconnect();
+          return;
+        }
+        if (message.ready) {
+          ready = true;
+        } else {
+          testsRun++;
+          onResult(testRuns[message.index], message.result);
+          if (message.testCoverage) onTestCoverage(testRuns[message.index], message.testCoverage);
+          if (message.polyfillFiles) onPolyfillFiles?.(message.polyfillFiles);
+        }
+        dispatchNext();
+      });
+      // Errors after the process started are followed by its exit
+      child.on('error', (e) => {
+        if (!ready) reject(e);
+      });
+      child.on('exit', (code, signal) => {
+        runningProcesses.delete(child);
+        const exit = signal ? `signal ${signal}` : `code ${code}`;
+        if (!ready) {
+          reject(new Error(`Test process exited with ${exit} before running any tests:\n${stderr}`));
+          return;
+        }
+        if (!retiring && current !== undefined) {
+          const message = `test process crashed with ${exit}`;
+          const output = summarizeCrashOutput(stderr);
+          const error = { message, inspected: output ? `${message}:\n${output}` : message };
+          onResult(testRuns[current], { error, ns: process.hrtime.bigint() - start });
+        }
+        resolve();
+      });
+
+      child.send({ executorOptions, coverage });
+    });
+  }
+
+  async function runProcesses() {
+    while (nextIndex < testRuns.length) await runProcess();
+  }
+
+  const processCount = Math.max(1, Math.min(workers, testRuns.length));
+  try {
+    await Promise.all(Array.from({ length: processCount }, runProcesses));
+  } catch (e) {
+    runningProcesses.forEach((child) => child.kill());
+    throw e;
+  }
+  return notStarted;
+}
+
+// V8's fatal error output ends with the native stack trace, which isn't useful
+// for debugging a test
+function summarizeCrashOutput(stderr) {
+  return stderr
+    .split('\n')
+    .filter((line) => line.trim() && !/^\s*\d+: 0x[0-9a-f]+/.test(line) && !line.includes('Native stack trace'))
+    .join('\n');
+}
+
+// Child processes get the same flags as this process, and can use
+// vm.SourceTextModule even if the main thread can't
+function getChildExecArgv() {
+  return process.execArgv.includes(MODULES_FLAG) ? [...process.execArgv] : [...process.execArgv, MODULES_FLAG];
+}
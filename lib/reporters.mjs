@@ -0,0 +1,509 @@
+import color from 'ansi-colors';
+import { formatBisectResult, formatVerdict } from './bisect.mjs';
+import { formatComparison } from './compare.mjs';
+import fs from 'node:fs';
+import { getEnvironmentFilename } from './environment.mjs';
+import { InvalidOptionError } from './errors.mjs';
+import path from 'node:path';
+import process from 'node:process';
+import ProgressBar from 'progress';
+import { STRICT_MODE_SUFFIX } from './executor.mjs';
+
+const UTF8 = { encoding: 'utf-8' };
+
+/**
+ * A run emits the following events as it progresses. Reporters are listeners
+ * for them: a reporter is an object with a method for any of the events, which
+ * is called synchronously with the event's argument. The same events are
+ * emitted on the EventEmitter given in the `events` option, if any.
+ *   - `warning({ message })` - when something is probably not what the user
+ *     intended, but the run goes on anyway, such as a test glob that matches
+ *     no files. Warnings about the tests to run come before `runStart`.
+ *   - `runStart({ total, start, timeoutMsecs, environmentName, shard, seed })` -
+ *     before the first test runs. `start` is the `process.hrtime.bigint()` at
+ *     which the run started. `environmentName` is defined in matrix runs, which
+ *     emit `runStart` and `runEnd` once for each entry of the matrix. `shard`
+ *     and `seed` are as in `RunSummary`.
+ *   - `testStart({ path, strict, name, index })` - when a test starts running,
+ *     with the same properties as its `TestRecord` will have. In parallel
+ *     runs, several tests are running at once.
+ *   - `testResult(record)` - after each test finishes or is skipped, with a
+ *     `TestRecord`. Records may arrive out of order when tests are run in
+ *     parallel.
+ *   - `expectedFailureMismatch(mismatch)` - with an
+ *     `ExpectedFailureMismatch`, when a test passes although an
+ *     expected-failure file lists it, right after its `testResult`, and at the
+ *     end of a full run for each entry whose test file doesn't exist.
+ *   - `runEnd(summary)` - after all tests have finished, with a `RunSummary`.
+ *
+ * `compareTest262()` runs the tests once for each implementation, without
+ * reporters, and emits its own events instead:
+ *   - `implementationStart({ implementation })` - before the tests run with
+ *     each implementation: a polyfill filename, or `'native'`.
+ *   - `comparisonEnd({ implementations, differences, total })` - after the
+ *     tests have run with every implementation, with the test runs whose
+ *     status differs as in lib/compare.mjs, and the number of test runs
+ *     compared.
+ *
+ * `bisectTest262()` runs the test once for each commit that it checks, also
+ * without reporters, and emits these events:
+ *   - `bisectStart({ repo, test, good, bad })` - before the first commit is
+ *     checked. `repo` is `'test262'` or `'polyfill'`, and `good` and `bad` are
+ *     the revisions as given.
+ *   - `bisectVerdict({ commit, description, verdict, reason })` - after each
+ *     commit has been checked, starting with the bad and the good revision.
+ *     `commit` is the full hash, and `description` the short hash and the
+ *     subject. `verdict` is `'good'`, `'bad'`, or `'skip'`, and `reason` says
+ *     why, if the test failed or the commit was skipped.
+ *   - `bisectEnd({ repo, candidates })` - with the first bad commit, or the
+ *     commits that it could be if some had to be skipped, each as
+ *     `{ commit, description }`.
+ *
+ * The `reporters` option of `runTest262()` is an array whose items are either
+ * reporter objects, names of built-in reporters, or `[name, options]` pairs:
+ *   - `'console'` - Progress bar and colored summary on stdout. This is the
+ *     default.
+ *   - `['json', { outputFile }]` - All test records and totals as a JSON
+ *     document. Default output file: `test262-results.json`.
+ *   - `['junit', { outputFile }]` - JUnit XML, for CI systems that can display
+ *     it. Default output file: `test262-results.xml`.
+ *   - `['tap', { outputFile }]` - TAP version 13. Default output file:
+ *     `test262-results.tap`.
+ * In matrix runs, the file reporters insert the environment name into the name
+ * of the output file, such as
+ * `test262-results.timeZone_Asia_Tokyo_locale_ja-JP.json`.
+ *
+ * @typedef {Object} TestRecord
+ * @property {string} path Path of the test file relative to test262's `test`
+ *   directory, as in expected-failure files.
+ * @property {boolean} strict Whether the test ran in strict mode.
+ * @property {string} name Name of the test run as printed in reports,
+ *   including a mode suffix for strict-mode runs.
+ * @property {'pass'|'fail'|'expected-fail'|'unexpected-pass'|'skipped'|'timeout'} status
+ * @property {bigint} ns How long the test took, in nanoseconds.
+ * @property {import('./executor.mjs').SerializedError=} error
+ * @property {string=} skipReason Why the test was skipped.
+ * @property {number} index Position of the test run in the run.
+ *
+ * @typedef {Object} ExpectedFailureMismatch
+ * @property {'unexpected-pass'|'missing-test'} kind
+ * @property {string} file Expected-failure file with the entry.
+ * @property {string} entry The entry, as in the file but without its reason.
+ * @property {TestRecord=} record For unexpected passes, the record of the
+ *   test run that passed.
+ *
+ * @typedef {Object} RunSummary
+ * @property {number} total Number of test runs.
+ * @property {bigint} ns How long the whole run took, in nanoseconds.
+ * @property {number} timeoutMsecs
+ * @property {TestRecord[]} records All records, in the order of the test files.
+ * @property {TestRecord[]} failures Records of failed or timed-out tests.
+ * @property {TestRecord[]} longTests Records of tests that took over 100 ms.
+ * @property {Map<string, {removed: Set<string>, narrowed: Map<string, string>}>} unexpectedPasses
+ *   For each expected-failure file, entries that passed unexpectedly. Entries
+ *   that apply to both modes but still fail in one are narrowed to that mode.
+ * @property {Map<string, Set<string>>} missingTests For each expected-failure
+ *   file, entries whose test file doesn't exist.
+ * @property {boolean} expectedFailureFilesUpdated Whether the above changes
+ *   have been written to the expected-failure files.
+ * @property {Map<string, string[]>} newExpectedFailures For the expected-failure
+ *   file given in the addNewFailuresTo option, entries that were added to it
+ *   for tests that failed unexpectedly.
+ * @property {{pass: number, fail: number, expectedFail: number,
+ *   unexpectedPass: number, skipped: number, timeout: number}} counts
+ * @property {Map<string, number>} skippedByFeature Number of test runs skipped
+ *   because of each feature in the includeFeatures and excludeFeatures options.
+ * @property {string=} environmentName In matrix runs, the time zone and locale
+ *   of this run, such as `"timeZone=Asia/Tokyo locale=ja-JP"`.
+ * @property {import('./baseline.mjs').BaselineComparison=} baseline Changes
+ *   since the baseline given in the baseline option, if any.
+ * @property {string=} savedBaselineFile File to which the results were saved
+ *   as a baseline, if any.
+ * @property {import('./coverage.mjs').CoverageSummary=} coverage Totals of the
+ *   polyfill's coverage, if it was collected.
+ * @property {boolean} aborted Whether the run was aborted through the
+ *   `signal` option. Tests that hadn't started are recorded as skipped.
+ * @property {{index: number, total: number}=} shard The shard of the tests
+ *   that ran, if the run was sharded.
+ * @property {number=} seed Seed of the random order in which the tests ran, if
+ *   they ran in random order.
+ */
+
+// Names of the events, which are also the names of reporter methods
+const EVENTS = [
+  'warning',
+  'runStart',
+  'testStart',
+  'testResult',
+  'expectedFailureMismatch',
+  'runEnd',
+  'implementationStart',
+  'comparisonEnd',
+  'bisectStart',
+  'bisectVerdict',
+  'bisectEnd'
+];
+
+const builtInReporters = {
+  console: createConsoleReporter,
+  json: createJsonReporter,
+  junit: createJUnitReporter,
+  tap: createTapReporter
+};
+
+export function createReporters(specs = ['console']) {
+  return specs.map((spec) => {
+    if (typeof spec === 'object' && !Array.isArray(spec)) return spec;
+    const [name, options = {}] = Array.isArray(spec) ? spec : [spec];
+    const createReporter = builtInReporters[name];
+    if (!createReporter) {
+      throw new InvalidOptionError(`Unknown reporter "${name}"; expected one of: ${Object.keys(builtInReporters).join(', ')}`);
+    }
+    return createReporter(options);
+  });
+}
+
+/**
+ * Creates the reporters given in the `reporters` option, and adds their
+ * methods as listeners for the events of the same names.
+ *
+ * @param {import('node:events').EventEmitter} emitter
+ * @param {Array<string|[string, Object]|Object>=} specs
+ */
+export function attachReporters(emitter, specs) {
+  for (const reporter of createReporters(specs)) {
+    for (const event of EVENTS) {
+      if (typeof reporter[event] === 'function') emitter.on(event, (data) => reporter[event](data));
+    }
+  }
+}
+
+function print(str) {
+  process.stdout.write(str + '\n');
+}
+
+function createConsoleReporter() {
+  let progress;
+
+  return {
+    warning({ message }) {
+      print(color.yellow(message));
+    },
+
+    runStart({ total, start, environmentName, shard, seed }) {
+      if (environmentName) print(color.bold(`\nEnvironment: ${environmentName}`));
+      if (shard) print(`Running shard ${shard.index} of ${shard.total}, with ${total} tests`);
+      if (seed !== undefined) print(`Running tests in random order with seed ${seed}`);
+
+      // Set up progress bar; don't print one if stdout isn't a terminal,
+      // instead use a mock object. (You can force that case by piping the
+      // output to cat)
+      if (process.stdout.isTTY) {
+        progress = new ProgressBar(':bar :percent (:current/:total) | :etas | :test', {
+          total,
+          complete: '\u2588',
+          incomplete: '\u2591',
+          width: 20,
+          stream: process.stdout,
+          renderThrottle: 50,
+          clear: true
+        });
+      } else {
+        progress = new (class FakeProgressBar {
+          #done = 0;
+
+          tick(delta = 1) {
+            this.#done += delta;
+            // Do print _something_ every 100 tests, so that there is something
+            // to look at in the CI while it is in progress.
+            if (delta && this.#done % 100 === 0) {
+              const elapsed = Number(process.hrtime.bigint() - start) / 1_000_000_000;
+              print(`${this.#done} tests completed in ${elapsed.toFixed(1)} seconds.`);
+            }
+          }
+
+          interrupt() {}
+        })();
+      }
+    },
+
+    testResult({ path: testRelPath, strict, status }) {
+      // testDisplayName is a slightly abbreviated form of the test's path that
+      // we use in logging during the run to make it more likely to fit on one
+      // line. progressDisplayName is what's displayed beside the progress bar:
+      // testDisplayName with the actual test filename cut off, since the
+      // individual tests go by too fast to read anyway.
+      const testDisplayName = testRelPath
+        .replace('built-ins/Temporal/', '')
+        .replace('intl402/Temporal/', '(intl) ')
+        .replace('staging/Temporal/', '(staging) ')
+        .replace('/prototype/', '/p/') + (strict ? ` ${STRICT_MODE_SUFFIX}` : '');
+      const progressDisplayName = path.dirname(testDisplayName);
+
+      // Log a message above the progress bar if the result is not what it's
+      // supposed to be. This is so that you don't have to wait until the end
+      // to see if your test failed.
+      if (status === 'unexpected-pass') progress.interrupt(`UNEXPECTED PASS: ${testDisplayName}`);
+      if (status === 'fail' || status === 'timeout') progress.interrupt(`FAIL: ${testDisplayName}`);
+
+      progress.tick(1, { test: progressDisplayName });
+    },
+
+    runEnd({ total, ns, timeoutMsecs, failures, unexpectedPasses, missingTests, longTests, expectedFailureFilesUpdated, newExpectedFailures, counts, skippedByFeature, environmentName, baseline, savedBaselineFile, coverage, aborted, shard, seed }) {
+      const elapsed = Number(ns) / 1_000_000_000;
+
+      print(color.underline(`\nSummary of results${environmentName ? ` for ${environmentName}` : ''}:`));
+      failures.forEach(({ name, error }) => {
+        print(color.yellow(`\n${color.bold('FAIL')}: ${name}`));
+        print(error.inspected ?? ` \u2022 ${error.message}`);
+      });
+
+      if (unexpectedPasses.size > 0) {
+        if (expectedFailureFilesUpdated) {
+          print(`\n${color.yellow.bold('WARNING:')} Tests passed unexpectedly; the following tests have been removed from their respective files:`);
+        } else {
+          print(`\n${color.yellow.bold('WARNING:')} Tests passed unexpectedly; remove them from their respective files?`);
+        }
+        for (const [expectedFailureFile, { removed, narrowed }] of unexpectedPasses) {
+          print(` \u2022 ${expectedFailureFile}:`);
+          for (const unexpectedPass of removed) {
+            print(`   \u2022 ${unexpectedPass}`);
+          }
+          for (const [unexpectedPass, replacement] of narrowed) {
+            print(`   \u2022 ${unexpectedPass} \u2192 ${replacement}`);
+          }
+        }
+      }
+
+      let missingTestsCnt = 0;
+      if (missingTests.size > 0) {
+        if (expectedFailureFilesUpdated) {
+          print(`\n${color.yellow.bold('WARNING:')} Tests not found; references have been removed from the following expected-failure files:`);
+        } else {
+          print(`\n${color.yellow.bold('WARNING:')} Tests not found; remove references from the following expected-failure files?`);
+        }
+        for (const [expectedFailureFile, missingTestsSet] of missingTests) {
+          print(` \u2022 ${expectedFailureFile}:`);
+          for (const missingTest of missingTestsSet) {
+            print(`   \u2022 ${missingTest}`);
+            missingTestsCnt++;
+          }
+        }
+      }
+
+      for (const [expectedFailureFile, entries] of newExpectedFailures) {
+        print(`\nThe failed tests have been added to ${expectedFailureFile}:`);
+        for (const entry of entries) {
+          print(`   \u2022 ${entry}`);
+        }
+      }
+
+      if (longTests.length > 0) {
+        print('\nThe following tests took a long time:');
+        longTests.forEach(({ name, ns }) => {
+          const ms = Math.round(Number(ns) / 1_000_000);
+          print(`  ${color.yellow(ms)} ms${ms >= timeoutMsecs ? ' (timeout)' : ''}: ${name}`);
+        });
+      }
+
+      if (baseline) {
+        const { file, newFailures, fixed, slower } = baseline;
+        print(`\nCompared with baseline ${file}:`);
+        if (newFailures.length + fixed.length + slower.length === 0) print(' \u2022 No changes');
+        if (newFailures.length > 0) {
+          print(color.red(' \u2022 New failures:'));
+          newFailures.forEach(({ name }) => print(`   \u2022 ${name}`));
+        }
+        if (fixed.length > 0) {
+          print(color.green(' \u2022 Fixed:'));
+          fixed.forEach(({ name }) => print(`   \u2022 ${name}`));
+        }
+        if (slower.length > 0) {
+          print(color.yellow(' \u2022 Slower:'));
+          slower.forEach(({ record: { name, ns }, baselineMsecs }) => {
+            print(`   \u2022 ${Math.round(Number(ns) / 1_000_000)} ms (was ${Math.round(baselineMsecs)} ms): ${name}`);
+          });
+        }
+      }
+
+      if (savedBaselineFile) print(`\nThe results have been saved as a baseline to ${savedBaselineFile}.`);
+
+      if (coverage) {
+        const describe = ({ covered, total }) => `${getPercentage(covered, total)}% (${covered} of ${total})`;
+        print(`\nCoverage of the polyfill, reported in ${coverage.dir}:`);
+        print(` \u2022 Lines: ${describe(coverage.total.lines)}`);
+        print(` \u2022 Functions: ${describe(coverage.total.functions)}`);
+      }
+
+      if (aborted) print(color.yellow('\nThe run was aborted before all tests had run.'));
+
+      print(`\n${total} tests${shard ? ` of shard ${shard.index}/${shard.total}` : ''} finished in ${color.bold(elapsed.toFixed(1))} s`);
+      if (seed !== undefined) print(`Random order seed: ${seed} (reproduce the order with --seed ${seed})`);
+      print(color.green(`  ${counts.pass} passed`));
+      print(color.red(`  ${failures.length} failed`));
+      print(color.red(`  ${counts.unexpectedPass} passed unexpectedly`));
+
+      if (counts.expectedFail > 0) {
+        print(color.cyan(`  ${counts.expectedFail} expected failures`));
+      }
+      if (missingTestsCnt > 0) {
+        print(color.cyan(`  ${missingTestsCnt} missing tests`));
+      }
+      if (counts.skipped > 0) {
+        print(color.grey(`  ${counts.skipped} skipped`));
+        for (const [feature, count] of skippedByFeature) {
+          print(color.grey(`    ${count} ${feature}`));
+        }
+      }
+    },
+
+    implementationStart({ implementation }) {
+      print(`Running tests with ${implementation}...`);
+    },
+
+    comparisonEnd({ implementations, differences, total }) {
+      print(formatComparison(implementations, differences, total));
+    },
+
+    bisectStart({ repo, test, good, bad }) {
+      print(`Bisecting ${repo} between ${good} and ${bad} for ${test}`);
+    },
+
+    bisectVerdict(verdict) {
+      print(formatVerdict(verdict));
+    },
+
+    bisectEnd({ repo, candidates }) {
+      print(formatBisectResult(repo, candidates));
+    }
+  };
+}
+
+function createJsonReporter({ outputFile = 'test262-results.json' } = {}) {
+  return {
+    runEnd({ total, ns, records, counts, skippedByFeature, environmentName, shard, seed }) {
+      const output = {
+        environment: environmentName,
+        shard,
+        seed,
+        total,
+        durationNs: Number(ns),
+        counts,
+        skippedByFeature: Object.fromEntries(skippedByFeature),
+        tests: records.map(({ path, strict, status, ns, error, skipReason }) => ({
+          path,
+          strict,
+          status,
+          durationNs: Number(ns),
+          message: error?.message ?? skipReason,
+          stack: error?.stack
+        }))
+      };
+      fs.writeFileSync(getEnvironmentFilename(outputFile, environmentName), JSON.stringify(output, null, 2) + '\n', UTF8);
+    }
+  };
+}
+
+/**
+ * Percentage rounded to two decimals, or 100 if there is nothing to cover.
+ */
+export function getPercentage(covered, total) {
+  return total === 0 ? 100 : Math.round(covered / total * 10000) / 100;
+}
+
+function escapeXml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newlines aren't allowed in XML
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+function createJUnitReporter({ outputFile = 'test262-results.xml' } = {}) {
+  return {
+    runEnd({ total, ns, records, counts, environmentName }) {
+      const suiteName = environmentName ? `test262 (${environmentName})` : 'test262';
+      const seconds = (ns) => (Number(ns) / 1_000_000_000).toFixed(3);
+      const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites tests="${total}" time="${seconds(ns)}">`,
+        `  <testsuite name="${escapeXml(suiteName)}" tests="${total}" failures="${counts.fail + counts.timeout + counts.unexpectedPass}" ` +
+          `skipped="${counts.skipped + counts.expectedFail}" time="${seconds(ns)}">`
+      ];
+      for (const { path: testRelPath, strict, status, ns, error, skipReason } of records) {
+        const classname = escapeXml(path.dirname(testRelPath));
+        const name = escapeXml(path.basename(testRelPath) + (strict ? ` ${STRICT_MODE_SUFFIX}` : ''));
+        const open = `    <testcase classname="${classname}" name="${name}" time="${seconds(ns)}"`;
+        switch (status) {
+          case 'pass':
+            lines.push(`${open}/>`);
+            break;
+          case 'skipped':
+            lines.push(`${open}>`, `      <skipped message="${escapeXml(skipReason)}"/>`, '    </testcase>');
+            break;
+          case 'expected-fail':
+            lines.push(`${open}>`, `      <skipped message="${escapeXml(`expected failure: ${error.message}`)}"/>`, '    </testcase>');
+            break;
+          case 'unexpected-pass':
+            lines.push(`${open}>`, '      <failure message="passed unexpectedly" type="unexpected-pass"/>', '    </testcase>');
+            break;
+          default:
+            lines.push(
+              `${open}>`,
+              `      <failure message="${escapeXml(error.message)}" type="${status}">${escapeXml(error.stack ?? error.message)}</failure>`,
+              '    </testcase>'
+            );
+        }
+      }
+      lines.push('  </testsuite>', '</testsuites>');
+      fs.writeFileSync(getEnvironmentFilename(outputFile, environmentName), lines.join('\n') + '\n', UTF8);
+    }
+  };
+}
+
+function createTapReporter({ outputFile = 'test262-results.tap' } = {}) {
+  // YAML block with the error details, indented as TAP 13 requires
+  function diagnostics(fields) {
+    const lines = ['  ---'];
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+      if (typeof value === 'string' && value.includes('\n')) {
+        lines.push(`  ${key}: |-`, ...value.split('\n').map((line) => `    ${line}`));
+      } else {
+        lines.push(`  ${key}: ${JSON.stringify(value)}`);
+      }
+    }
+    lines.push('  ...');
+    return lines;
+  }
+
+  return {
+    runEnd({ total, records, environmentName }) {
+      const lines = ['TAP version 13', `1..${total}`];
+      if (environmentName) lines.push(`# ${environmentName}`);
+      records.forEach(({ name, status, ns, error, skipReason }, index) => {
+        const id = `${index + 1} - ${name}`;
+        const duration_ms = Math.round(Number(ns) / 1_000) / 1_000;
+        switch (status) {
+          case 'pass':
+            lines.push(`ok ${id}`);
+            break;
+          case 'skipped':
+            lines.push(`ok ${id} # SKIP ${skipReason}`);
+            break;
+          case 'expected-fail':
+            lines.push(`not ok ${id} # TODO expected failure`);
+            break;
+          case 'unexpected-pass':
+            lines.push(`not ok ${id}`, ...diagnostics({ status, message: 'passed unexpectedly', duration_ms }));
+            break;
+          default:
+            lines.push(`not ok ${id}`, ...diagnostics({ status, message: error.message, stack: error.stack, duration_ms }));
+        }
+      });
+      fs.writeFileSync(getEnvironmentFilename(outputFile, environmentName), lines.join('\n') + '\n', UTF8);
+    }
+  };
+}
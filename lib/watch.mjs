@@ -0,0 +1,267 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { Test262RunnerError } from './errors.mjs';
+
+// Builds and editors often write several files, or the same file several
+// times, in quick succession. Wait this long after the last change before
+// re-running tests.
+const DEBOUNCE_MSECS = 100;
+
+const USAGE = `
+Watch Usage
+ \u203a Press a to run all tests.
+ \u203a Press f to run only failed tests.
+ \u203a Press p to filter by test globs.
+ \u203a Press q to quit watch mode.
+ \u203a Press Enter to trigger a test run.`;
+
+/**
+ * Runs tests, and then re-runs them when files change or when the user presses
+ * a key, until the user quits or the signal is aborted.
+ *
+ * Directories are watched rather than individual files, because builds often
+ * replace the polyfill file instead of writing to it, which stops a watcher on
+ * the file itself from seeing further changes.
+ *
+ * @typedef {Object} RunRequest
+ * @property {string[]} testGlobs Globs to run, as in the `testGlobs` option.
+ * @property {string[]=} testFiles If given, run only these test files instead.
+ * @property {Set<string>} runFirst Test files to run before the others.
+ *
+ * @typedef {Object} RunOutcome
+ * @property {string[]} testFiles Absolute paths of the test files that ran.
+ * @property {string[]} helperFiles Absolute paths of the harness files that
+ *   those tests include.
+ * @property {string[]} polyfillFiles Absolute paths of the polyfill's files
+ *   that were loaded, such as the files that a module polyfill imports.
+ * @property {string[]} failedTestFiles Absolute paths of the test files that
+ *   failed in at least one mode.
+ *
+ * @param {(request: RunRequest) => Promise<RunOutcome>} runTests Runs tests
+ *   and prints the results, rebuilding the pre-parsed polyfill and harness.
+ * @param {Object} options
+ * @param {string} options.polyfillCodeFile Filename of the Temporal polyfill.
+ * @param {string[]} options.testGlobs Globs to run at first.
+ * @param {AbortSignal=} options.signal Quits watch mode when aborted. The
+ *   signal should also be passed to `runTests()`, to stop a run in progress.
+ * @returns {Promise<void>} Resolves when the user quits.
+ */
+export function watch(runTests, { polyfillCodeFile, testGlobs, signal }) {
+  const interactive = process.stdin.isTTY;
+
+  // Files whose change re-runs all tests: the polyfill, the files it imports,
+  // and the harness files
+  let sourceFiles = new Set([path.resolve(polyfillCodeFile)]);
+  let watchedFiles = new Set(sourceFiles);
+  // Map from directory to the fs.FSWatcher watching it
+  const watchers = new Map();
+
+  // Test files that failed the last time they ran
+  let failing = new Set();
+  // Next run to do, if any: { testFiles } to run only those files, or {} to run
+  // all tests matching testGlobs
+  let pending = null;
+  let lastRequest = {};
+  let running = false;
+  let quitting = false;
+
+  let changedFiles = new Set();
+  let debounceTimer;
+  // Test globs being typed in, or undefined if not in that prompt
+  let patternInput;
+
+  let resolveDone;
+  const done = new Promise((resolve) => resolveDone = resolve);
+
+  function print(str) {
+    process.stdout.write(str + '\n');
+  }
+
+  function updateWatchers() {
+    const dirs = new Set([...watchedFiles].map((file) => path.dirname(file)));
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (watchers.has(dir)) continue;
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        if (filename) onFileChanged(path.join(dir, filename.toString()));
+      });
+      // The directory was probably deleted. Stop watching it until the next
+      // full run finds files in it again.
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+    }
+  }
+
+  function onFileChanged(file) {
+    if (!watchedFiles.has(file)) return;
+    changedFiles.add(file);
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      const files = [...changedFiles];
+      changedFiles = new Set();
+      if (files.some((changedFile) => sourceFiles.has(changedFile))) {
+        schedule({});
+      } else {
+        schedule({ testFiles: files });
+      }
+    }, DEBOUNCE_MSECS);
+  }
+
+  // Merges the request into the pending run, and starts it unless tests are
+  // already running, in which case it starts when they are done
+  function schedule(request) {
+    if (!request.testFiles || (pending && !pending.testFiles)) {
+      pending = {};
+    } else {
+      pending = { testFiles: [...new Set([...(pending?.testFiles ?? []), ...request.testFiles])] };
+    }
+    if (!running) runPending();
+  }
+
+  async function runPending() {
+    running = true;
+    while (pending && !quitting) {
+      const request = pending;
+      pending = null;
+      lastRequest = request;
+      await runOnce(request);
+      if (!quitting) print(interactive ? USAGE : '\nWatching for changes...');
+    }
+    running = false;
+    if (quitting) resolveDone();
+  }
+
+  async function runOnce({ testFiles }) {
+    // Deleted tests can't be run
+    testFiles = testFiles?.filter((testFile) => fs.existsSync(testFile));
+    if (testFiles?.length === 0) return;
+
+    print('');
+    let outcome;
+    try {
+      outcome = await runTests({ testGlobs, testFiles, runFirst: failing });
+    } catch (e) {
+      // The run was aborted by quitting
+      if (quitting) return;
+      // For example, a syntax error in a partially built polyfill. Keep
+      // watching so that the next build is picked up.
+      print(e instanceof Test262RunnerError ? e.message : e.stack);
+      updateWatchers();
+      return;
+    }
+
+    if (testFiles) {
+      testFiles.forEach((testFile) => failing.delete(testFile));
+      outcome.failedTestFiles.forEach((testFile) => failing.add(testFile));
+      // The changed tests may include harness files that weren't used before,
+      // or use parts of the polyfill that import other files
+      outcome.helperFiles.forEach((helperFile) => sourceFiles.add(helperFile));
+      outcome.polyfillFiles.forEach((polyfillFile) => sourceFiles.add(polyfillFile));
+    } else {
+      failing = new Set(outcome.failedTestFiles);
+      sourceFiles = new Set([path.resolve(polyfillCodeFile), ...outcome.polyfillFiles, ...outcome.helperFiles]);
+      watchedFiles = new Set(outcome.testFiles);
+    }
+    sourceFiles.forEach((sourceFile) => watchedFiles.add(sourceFile));
+    updateWatchers();
+  }
+
+  function quit() {
+    quitting = true;
+    signal?.removeEventListener('abort', quit);
+    clearTimeout(debounceTimer);
+    watchers.forEach((watcher) => watcher.close());
+    if (interactive) {
+      process.stdin.setRawMode(false);
+      process.stdin.off('data', onKeys);
+      process.stdin.pause();
+    }
+    if (!running) resolveDone();
+  }
+
+  function onKeys(keys) {
+    if (patternInput !== undefined) {
+      editPattern(keys);
+      return;
+    }
+    switch (keys) {
+      case 'q':
+      case '\u0003': // Ctrl+C
+        quit();
+        break;
+      case 'a':
+        schedule({});
+        break;
+      case 'f':
+        if (failing.size === 0) {
+          print('No failed tests to run.');
+        } else {
+          schedule({ testFiles: [...failing] });
+        }
+        break;
+      case 'p':
+        patternInput = '';
+        process.stdout.write(`\nTest globs, separated by spaces (currently "${testGlobs.join(' ')}"; Esc to cancel): `);
+        break;
+      case '\r':
+      case '\n':
+        schedule(lastRequest);
+        break;
+    }
+  }
+
+  function editPattern(keys) {
+    // Also cancels on arrow keys and other escape sequences
+    if (keys.startsWith('\u001b')) {
+      patternInput = undefined;
+      print('');
+      return;
+    }
+    for (const key of keys) {
+      if (key === '\u0003') {
+        quit();
+        return;
+      }
+      if (key === '\r' || key === '\n') {
+        testGlobs = patternInput.split(/\s+/).filter(Boolean);
+        patternInput = undefined;
+        print('');
+        schedule({});
+        return;
+      }
+      if (key === '\u007f' || key === '\b') {
+        if (patternInput.length > 0) {
+          patternInput = patternInput.slice(0, -1);
+          process.stdout.write('\b \b');
+        }
+      } else if (key >= ' ') {
+        patternInput += key;
+        process.stdout.write(key);
+      }
+    }
+  }
+
+  if (interactive) {
+    process.stdin.setRawMode(true);
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', onKeys);
+    process.stdin.resume();
+  }
+
+  if (signal?.aborted) {
+    quit();
+  } else {
+    signal?.addEventListener('abort', quit);
+  }
+  schedule({});
+  return done;
+}
@@ -0,0 +1,21 @@
+import { parentPort, workerData } from 'node:worker_threads';
+import { createTestExecutor } from './executor.mjs';
+
+// Entry point for worker threads started by runInWorkers(). Each worker keeps
+// its own pre-parsed polyfill and helper cache, and runs one test at a time as
+// the main thread hands them out. Whenever more files of the polyfill have
+// been loaded, such as the files that a module polyfill imports, their names
+// are sent along with the result, for watch mode.
+
+const { runTest, getPolyfillSources } = createTestExecutor(workerData);
+let polyfillFileCount = 0;
+
+parentPort.on('message', async ({ index, testRun }) => {
+  const message = { index, result: await runTest(testRun) };
+  const polyfillFiles = [...getPolyfillSources().keys()];
+  if (polyfillFiles.length > polyfillFileCount) {
+    polyfillFileCount = polyfillFiles.length;
+    message.polyfillFiles = polyfillFiles;
+  }
+  parentPort.postMessage(message);
+});
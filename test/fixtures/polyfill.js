@@ -0,0 +1,2 @@
+// Stands in for a Temporal polyfill in the unit tests
+globalThis.Temporal = {};
@@ -0,0 +1,2 @@
+// Stands in for an ES module polyfill that loads its code with import()
+await import('./polyfill.js');
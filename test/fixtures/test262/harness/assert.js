@@ -0,0 +1,10 @@
+// Smaller stand-in for test262's harness/assert.js
+function assert(mustBeTrue, message) {
+  if (mustBeTrue !== true) throw new Test262Error(message);
+}
+
+assert.sameValue = function (actual, expected, message) {
+  if (!Object.is(actual, expected)) {
+    throw new Test262Error((message ? message + ' ' : '') + 'Expected SameValue(' + actual + ', ' + expected + ')');
+  }
+};
@@ -0,0 +1,6 @@
+/*---
+description: Fails in strict mode only
+---*/
+
+var strict = (function () { return this === undefined; })();
+assert.sameValue(strict, false, 'runs in non-strict mode');
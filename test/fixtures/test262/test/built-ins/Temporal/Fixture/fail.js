@@ -0,0 +1,5 @@
+/*---
+description: Fails in both modes
+---*/
+
+assert.sameValue(Temporal.answer, 42);
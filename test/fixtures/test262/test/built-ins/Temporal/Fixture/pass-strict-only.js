@@ -0,0 +1,6 @@
+/*---
+description: Passes, and only runs in strict mode
+flags: [onlyStrict]
+---*/
+
+assert.sameValue(typeof Temporal, 'object');
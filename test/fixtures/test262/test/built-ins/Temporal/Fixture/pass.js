@@ -0,0 +1,5 @@
+/*---
+description: Passes in both modes
+---*/
+
+assert.sameValue(typeof Temporal, 'object');
@@ -0,0 +1,8 @@
+/*---
+description: Imports a fixture with import() and reports through $DONE()
+flags: [module, async]
+---*/
+
+import('./answer_FIXTURE.js')
+  .then(({ answer }) => assert.sameValue(answer, 42))
+  .then($DONE, $DONE);
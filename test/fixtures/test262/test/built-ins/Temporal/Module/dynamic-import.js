@@ -0,0 +1,10 @@
+/*---
+description: Imports a fixture statically and with import()
+flags: [module]
+---*/
+
+import * as staticNamespace from './answer_FIXTURE.js';
+
+const namespace = await import('./answer_FIXTURE.js');
+assert.sameValue(namespace, staticNamespace);
+assert.sameValue(namespace.answer, 42);
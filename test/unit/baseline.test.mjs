@@ -0,0 +1,111 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaselineError } from '../../lib/errors.mjs';
+import { compareWithBaseline, readBaseline, writeBaseline } from '../../lib/baseline.mjs';
+import { createTempDir } from './fixture.mjs';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const tempDir = createTempDir(after);
+
+// A record of a test run that took the given number of milliseconds
+function record(testRelPath, status, { strict = false, msecs = 1 } = {}) {
+  return { path: testRelPath, strict, name: testRelPath, status, ns: BigInt(msecs * 1_000_000), index: 0 };
+}
+
+describe('compareWithBaseline', () => {
+  const baselineTests = {
+    'passed.js': { nonStrict: { status: 'pass', durationMsecs: 10 }, strict: { status: 'pass', durationMsecs: 10 } },
+    'failed.js': { nonStrict: { status: 'fail', durationMsecs: 10 }, strict: { status: 'pass', durationMsecs: 10 } },
+    'timed-out.js': { nonStrict: { status: 'timeout', durationMsecs: 2000 } }
+  };
+
+  function compare(records, slowdownThresholdMsecs = 100) {
+    return compareWithBaseline('baseline.json', baselineTests, records, slowdownThresholdMsecs);
+  }
+
+  it('lists failures of tests that passed or were not in the baseline', () => {
+    const records = [
+      record('passed.js', 'fail'),
+      record('passed.js', 'timeout', { strict: true }),
+      record('new.js', 'expected-fail'),
+      record('failed.js', 'fail'),
+      record('timed-out.js', 'timeout')
+    ];
+    const { file, newFailures, fixed } = compare(records);
+    assert.equal(file, 'baseline.json');
+    assert.deepEqual(newFailures, records.slice(0, 3));
+    assert.deepEqual(fixed, []);
+  });
+
+  it('compares each mode with the same mode in the baseline', () => {
+    const records = [record('failed.js', 'pass'), record('failed.js', 'fail', { strict: true })];
+    const { newFailures, fixed } = compare(records);
+    assert.deepEqual(newFailures, [records[1]]);
+    assert.deepEqual(fixed, [records[0]]);
+  });
+
+  it('counts unexpected passes as passes, regardless of expected-failure files', () => {
+    const records = [record('timed-out.js', 'unexpected-pass'), record('passed.js', 'unexpected-pass')];
+    const { newFailures, fixed } = compare(records);
+    assert.deepEqual(newFailures, []);
+    assert.deepEqual(fixed, [records[0]]);
+  });
+
+  it('leaves out skipped tests', () => {
+    const { newFailures, fixed, slower } = compare([record('failed.js', 'skipped', { msecs: 0 }), record('new.js', 'skipped')]);
+    assert.deepEqual([newFailures, fixed, slower], [[], [], []]);
+  });
+
+  it('lists tests that got slower by more than the threshold', () => {
+    const records = [
+      record('passed.js', 'pass', { msecs: 111 }),
+      record('passed.js', 'pass', { strict: true, msecs: 110 }),
+      record('new.js', 'pass', { msecs: 1000 })
+    ];
+    assert.deepEqual(compare(records).slower, [{ record: records[0], baselineMsecs: 10 }]);
+    assert.deepEqual(compare(records, 0).slower.map(({ record }) => record), records.slice(0, 2));
+  });
+});
+
+describe('writeBaseline', () => {
+  it('writes a baseline that readBaseline() reads back', () => {
+    const fileName = path.join(tempDir, 'written.json');
+    writeBaseline(fileName, [
+      record('b.js', 'expected-fail', { msecs: 1.5 }),
+      record('a.js', 'unexpected-pass', { strict: true }),
+      record('c.js', 'skipped')
+    ], false);
+    const tests = readBaseline(fileName);
+    assert.deepEqual(Object.keys(tests), ['a.js', 'b.js']);
+    assert.deepEqual(tests, {
+      'a.js': { strict: { status: 'pass', durationMsecs: 1 } },
+      'b.js': { nonStrict: { status: 'fail', durationMsecs: 1.5 } }
+    });
+  });
+
+  it('keeps the results of tests that didn\'t run when merging', () => {
+    const fileName = path.join(tempDir, 'merged.json');
+    writeBaseline(fileName, [record('a.js', 'pass'), record('b.js', 'pass')], false);
+    writeBaseline(fileName, [record('a.js', 'fail', { strict: true })], true);
+    assert.deepEqual(readBaseline(fileName), {
+      'a.js': { nonStrict: { status: 'pass', durationMsecs: 1 }, strict: { status: 'fail', durationMsecs: 1 } },
+      'b.js': { nonStrict: { status: 'pass', durationMsecs: 1 } }
+    });
+
+    writeBaseline(fileName, [record('a.js', 'fail', { strict: true })], false);
+    assert.deepEqual(Object.keys(readBaseline(fileName)), ['a.js']);
+  });
+});
+
+describe('readBaseline', () => {
+  it('throws a BaselineError for files that are missing or are not baselines', () => {
+    const notBaseline = path.join(tempDir, 'not-a-baseline.json');
+    fs.writeFileSync(notBaseline, '{ "results": {} }');
+    const invalid = path.join(tempDir, 'invalid.json');
+    fs.writeFileSync(invalid, '{');
+    for (const fileName of [path.join(tempDir, 'missing.json'), notBaseline, invalid]) {
+      assert.throws(() => readBaseline(fileName), BaselineError);
+    }
+  });
+});
@@ -0,0 +1,63 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { bisectTest262 } from '../../index.mjs';
+import { createTempDir, fixtureOptions } from './fixture.mjs';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const TEST = 'built-ins/Temporal/Bisect/answer.js';
+
+const tempDir = createTempDir(after);
+
+// Creates a test262 repo in which the test fails since the commit "Break the
+// test", and returns its directory
+function createTest262Repo() {
+  const repoDir = path.join(tempDir, 'test262');
+  fs.cpSync(path.join(fixtureOptions.test262Dir, 'harness'), path.join(repoDir, 'harness'), { recursive: true });
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repoDir, stdio: 'ignore' });
+  const commit = (subject, expected) => {
+    const testFile = path.join(repoDir, 'test', TEST);
+    fs.mkdirSync(path.dirname(testFile), { recursive: true });
+    fs.writeFileSync(testFile, `/*---\ndescription: ${subject}\n---*/\n\nassert.sameValue(typeof Temporal, '${expected}');\n`);
+    git('add', '-A');
+    git('commit', '-q', '-m', subject);
+  };
+  git('init', '-q');
+  commit('Add the test', 'object');
+  commit('Reword the test', 'object');
+  commit('Break the test', 'number');
+  commit('Reword the broken test', 'number');
+  return repoDir;
+}
+
+describe('bisectTest262', () => {
+  it('reports each verdict and the first bad commit to the reporters', async () => {
+    const test262Dir = createTest262Repo();
+    const events = [];
+    const reporter = {
+      runStart: () => events.push(['runStart']),
+      bisectStart: (data) => events.push(['bisectStart', data]),
+      bisectVerdict: ({ description, verdict }) => events.push(['bisectVerdict', description.replace(/^\w+ /, ''), verdict]),
+      bisectEnd: ({ repo, candidates }) => events.push(['bisectEnd', repo, candidates.map(({ description }) => description.replace(/^\w+ /, ''))])
+    };
+    const { firstBadCommit } = await bisectTest262({
+      ...fixtureOptions,
+      test262Dir,
+      test: TEST,
+      good: 'HEAD~3',
+      bad: 'HEAD',
+      reporters: [reporter]
+    });
+
+    assert.equal(firstBadCommit, execFileSync('git', ['rev-parse', 'HEAD~1'], { cwd: test262Dir, encoding: 'utf-8' }).trim());
+    assert.deepEqual(events[0], ['bisectStart', { repo: 'test262', test: TEST, good: 'HEAD~3', bad: 'HEAD' }]);
+    assert.deepEqual(events.slice(1, 3), [
+      ['bisectVerdict', 'Reword the broken test', 'bad'],
+      ['bisectVerdict', 'Add the test', 'good']
+    ]);
+    assert.deepEqual(events.at(-1), ['bisectEnd', 'test262', ['Break the test']]);
+    // The runs at each commit are left out of the reports
+    assert.ok(events.slice(1, -1).every(([event]) => event === 'bisectVerdict'));
+  });
+});
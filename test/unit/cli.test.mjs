@@ -0,0 +1,109 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, fixtureOptions } from './fixture.mjs';
+import { EX_NOINPUT, EX_USAGE, EXIT_SUCCESS, EXIT_TEST_FAILURES, parseCommandLine } from '../../lib/cli.mjs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import process from 'node:process';
+import { spawnSync } from 'node:child_process';
+
+const BIN = fileURLToPath(new URL('../../bin/temporal-test262.mjs', import.meta.url));
+
+const tempDir = createTempDir(after);
+
+describe('parseCommandLine', () => {
+  it('converts flags into options, and leaves out the ones not given', () => {
+    const { options } = parseCommandLine([
+      '--test262-dir', 'test262',
+      '--polyfill', 'polyfill.js',
+      '--expected-failures', 'a.txt',
+      '--expected-failures', 'b.txt',
+      '--timeout', '500',
+      '--reporter', 'console',
+      '--reporter', 'junit:results/junit.xml',
+      '--now', '1000',
+      '--advance-clock',
+      '--matrix', 'UTC',
+      '--matrix', 'America/Vancouver,fr-CA',
+      '--matrix', ',de',
+      '--shard', '2/4',
+      '--seed', '0',
+      'Duration/**',
+      'Instant/*.js'
+    ]);
+    assert.deepEqual(options, {
+      test262Dir: 'test262',
+      polyfillCodeFile: 'polyfill.js',
+      expectedFailureFiles: ['a.txt', 'b.txt'],
+      timeoutMsecs: 500,
+      reporters: ['console', ['junit', { outputFile: 'results/junit.xml' }]],
+      now: 1000,
+      freezeClock: false,
+      matrix: [
+        { timeZone: 'UTC', locale: undefined },
+        { timeZone: 'America/Vancouver', locale: 'fr-CA' },
+        { timeZone: undefined, locale: 'de' }
+      ],
+      shard: { index: 2, total: 4 },
+      seed: 0,
+      testGlobs: ['Duration/**', 'Instant/*.js']
+    });
+  });
+
+  it('keeps --now as a string unless it is epoch milliseconds', () => {
+    assert.equal(parseCommandLine(['--now', '2024-05-01T12:00Z']).options.now, '2024-05-01T12:00Z');
+    assert.equal(parseCommandLine(['--now=-86400000']).options.now, -86400000);
+  });
+
+  it('returns the commands separately from the options', () => {
+    assert.deepEqual(parseCommandLine(['--config', 'config.json', '--watch']), {
+      options: {},
+      configFile: 'config.json',
+      help: undefined,
+      watch: true,
+      compare: undefined,
+      bisect: undefined
+    });
+    assert.equal(parseCommandLine(['-h']).help, true);
+    assert.deepEqual(parseCommandLine(['--compare', 'a.js', '--compare', 'native']).compare, ['a.js', 'native']);
+    assert.deepEqual(parseCommandLine(['--bisect', 'x.js', '--good', 'v1']).bisect, { test: 'x.js', good: 'v1', bad: undefined });
+  });
+
+  for (const args of [['--timeout', 'soon'], ['--workers', '-1'], ['--seed', '1.5'], ['--shard', '2'], ['--shard', 'a/b'], ['--unknown'], ['--polyfill']]) {
+    it(`rejects ${args.join(' ')}`, () => {
+      assert.throws(() => parseCommandLine(args), { name: 'UsageError' });
+    });
+  }
+});
+
+describe('exit codes', () => {
+  // Runs the command line tool in an empty directory, so that no config file
+  // is found
+  function run(...args) {
+    const { status } = spawnSync(process.execPath, [BIN, ...args], { cwd: tempDir, stdio: 'ignore' });
+    return status;
+  }
+
+  const { test262Dir, polyfillCodeFile } = fixtureOptions;
+  const fixtureArgs = ['--test262-dir', test262Dir, '--polyfill', polyfillCodeFile, '--workers', '1', '--reporter', 'tap:tap.txt'];
+
+  it('exits with 0 if all tests have the expected result, and 1 otherwise', () => {
+    assert.equal(run(...fixtureArgs, 'Fixture/pass*.js'), EXIT_SUCCESS);
+    assert.equal(run(...fixtureArgs, 'Fixture/fail.js'), EXIT_TEST_FAILURES);
+    assert.equal(run('--help'), EXIT_SUCCESS);
+  });
+
+  it(`exits with ${EX_USAGE} for invalid command lines and options`, () => {
+    assert.equal(run('--timeout', 'soon'), EX_USAGE);
+    assert.equal(run('--polyfill', polyfillCodeFile), EX_USAGE);
+    assert.equal(run(...fixtureArgs, '--reporter', 'xml', 'Fixture/pass.js'), EX_USAGE);
+    assert.equal(run(...fixtureArgs, '--shard', '5/4', 'Fixture/pass.js'), EX_USAGE);
+  });
+
+  it(`exits with ${EX_NOINPUT} for missing input files`, () => {
+    assert.equal(run('--test262-dir', test262Dir, '--polyfill', path.join(tempDir, 'missing.js')), EX_NOINPUT);
+    assert.equal(run(...fixtureArgs, '--test262-dir', tempDir), EX_NOINPUT);
+    assert.equal(run(...fixtureArgs, '--expected-failures', path.join(tempDir, 'missing.txt'), 'Fixture/pass.js'), EX_NOINPUT);
+    assert.equal(run(...fixtureArgs, 'Fixture/missing.js'), EX_NOINPUT);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareTest262 } from '../../index.mjs';
+import { fixtureOptions } from './fixture.mjs';
+
+describe('compareTest262', () => {
+  it('reports each implementation and the differences to the reporters', async () => {
+    const events = [];
+    const reporter = {
+      runStart: () => events.push('runStart'),
+      implementationStart: ({ implementation }) => events.push(implementation),
+      comparisonEnd: ({ implementations, differences, total }) => events.push({
+        implementations,
+        differences: differences.map(({ name, records }) => [name, ...records.map(({ status }) => status)]),
+        total
+      })
+    };
+    const same = await compareTest262({
+      ...fixtureOptions,
+      polyfillCodeFiles: [fixtureOptions.polyfillCodeFile, 'native'],
+      testGlobs: ['Fixture/pass.js', 'Fixture/fail.js'],
+      workers: 1,
+      reporters: [reporter]
+    });
+    assert.equal(same, false);
+    // Node doesn't have a built-in Temporal, so the test that only checks for
+    // the polyfill's Temporal object fails without it
+    assert.deepEqual(events, [fixtureOptions.polyfillCodeFile, 'native', {
+      implementations: [fixtureOptions.polyfillCodeFile, 'native'],
+      differences: [
+        ['built-ins/Temporal/Fixture/pass.js', 'pass', 'fail'],
+        ['built-ins/Temporal/Fixture/pass.js (strict mode)', 'pass', 'fail']
+      ],
+      total: 4
+    }]);
+  });
+});
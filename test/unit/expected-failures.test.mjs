@@ -0,0 +1,125 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, FAIL, FAIL_IN_STRICT_MODE, fixtureOptions, PASS } from './fixture.mjs';
+import fs from 'node:fs';
+import path from 'node:path';
+import runTest262 from '../../index.mjs';
+
+const UTF8 = { encoding: 'utf-8' };
+
+const tempDir = createTempDir(after);
+let fileCount = 0;
+
+// Writes an expected-failure file with the given contents, and returns its name
+function writeFile(contents) {
+  const fileName = path.join(tempDir, `expected-failures-${++fileCount}.txt`);
+  fs.writeFileSync(fileName, contents, UTF8);
+  return fileName;
+}
+
+function readFile(fileName) {
+  return fs.readFileSync(fileName, UTF8);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+describe('updateExpectedFailureFiles', () => {
+  it('removes tests that pass, keeping comments, blank lines, and reasons', () => {
+    const file = writeFile([
+      '# Not implemented yet',
+      '',
+      `${FAIL} # needs Temporal.answer`,
+      `  ${PASS}   # fixed since`,
+      `${FAIL_IN_STRICT_MODE} (strict mode)`,
+      ''
+    ].join('\n'));
+    const result = runTest262({ ...fixtureOptions, expectedFailureFiles: [file], updateExpectedFailureFiles: true });
+    assert.equal(result, false);
+    assert.equal(readFile(file), [
+      '# Not implemented yet',
+      '',
+      `${FAIL} # needs Temporal.answer`,
+      `${FAIL_IN_STRICT_MODE} (strict mode)`,
+      ''
+    ].join('\n'));
+  });
+
+  it('narrows an entry to the mode in which the test still fails', () => {
+    const file = writeFile(`${FAIL}\n${FAIL_IN_STRICT_MODE} # depends on this\n`);
+    const result = runTest262({ ...fixtureOptions, expectedFailureFiles: [file], updateExpectedFailureFiles: true });
+    assert.equal(result, false);
+    assert.equal(readFile(file), `${FAIL}\n${FAIL_IN_STRICT_MODE} (strict mode) # depends on this\n`);
+
+    // The narrowed entry covers the only failure that is left
+    assert.equal(runTest262({ ...fixtureOptions, expectedFailureFiles: [file] }), true);
+  });
+
+  it('keeps a file without a trailing newline that way', () => {
+    const file = writeFile(`${FAIL}\n${PASS}\n${FAIL_IN_STRICT_MODE} (strict mode)`);
+    runTest262({ ...fixtureOptions, expectedFailureFiles: [file], updateExpectedFailureFiles: true });
+    assert.equal(readFile(file), `${FAIL}\n${FAIL_IN_STRICT_MODE} (strict mode)`);
+  });
+
+  it('leaves files alone if not given', () => {
+    const contents = `${FAIL}\n${PASS}\n${FAIL_IN_STRICT_MODE}\n`;
+    const file = writeFile(contents);
+    assert.equal(runTest262({ ...fixtureOptions, expectedFailureFiles: [file] }), false);
+    assert.equal(readFile(file), contents);
+  });
+});
+
+describe('addNewFailuresTo', () => {
+  it('creates the file, with an entry for each mode only if a test fails in one of them', () => {
+    const file = path.join(tempDir, 'new-failures.txt');
+    runTest262({ ...fixtureOptions, addNewFailuresTo: file });
+    assert.equal(readFile(file), [
+      `# New failures as of ${today()}`,
+      `${FAIL_IN_STRICT_MODE} (strict mode)`,
+      FAIL,
+      ''
+    ].join('\n'));
+  });
+
+  it('adds a group with today\'s date after the existing entries', () => {
+    const file = writeFile('# Older failures\nbuilt-ins/Temporal/Other/old.js # reason\n\n\n');
+    runTest262({ ...fixtureOptions, testGlobs: ['Fixture/fail.js'], addNewFailuresTo: file });
+    assert.equal(readFile(file), [
+      '# Older failures',
+      'built-ins/Temporal/Other/old.js # reason',
+      '',
+      `# New failures as of ${today()}`,
+      FAIL,
+      ''
+    ].join('\n'));
+  });
+
+  it('merges entries into the group of an earlier run on the same day', () => {
+    const file = writeFile([
+      '# Older failures',
+      'built-ins/Temporal/Other/old.js',
+      '',
+      `# New failures as of ${today()}`,
+      'built-ins/Temporal/Zzz/later.js # from an earlier run',
+      FAIL,
+      '',
+      '# Other failures',
+      'built-ins/Temporal/Other/other.js'
+    ].join('\n'));
+    runTest262({ ...fixtureOptions, addNewFailuresTo: file });
+    assert.equal(readFile(file), [
+      '# Older failures',
+      'built-ins/Temporal/Other/old.js',
+      '',
+      `# New failures as of ${today()}`,
+      `${FAIL_IN_STRICT_MODE} (strict mode)`,
+      FAIL,
+      'built-ins/Temporal/Zzz/later.js # from an earlier run',
+      '',
+      '# Other failures',
+      'built-ins/Temporal/Other/other.js',
+      ''
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,42 @@
+import { fileURLToPath } from 'node:url';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const fixturesDir = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+/**
+ * Options for running the tests of the fixture test262 directory, without
+ * output. Its tests are in `test/built-ins/Temporal/Fixture`:
+ *   - `pass.js` passes in both modes.
+ *   - `pass-strict-only.js` passes, and only runs in strict mode.
+ *   - `fail.js` fails in both modes.
+ *   - `fail-in-strict-mode.js` fails in strict mode and passes in non-strict
+ *     mode.
+ *
+ * The module tests in `test/built-ins/Temporal/Module` pass, and
+ * `polyfill.mjs` is an ES module version of the polyfill.
+ */
+export const fixtureOptions = {
+  test262Dir: path.join(fixturesDir, 'test262'),
+  polyfillCodeFile: path.join(fixturesDir, 'polyfill.js'),
+  testGlobs: ['Fixture/*'],
+  reporters: []
+};
+
+// Paths of the fixture's tests, as given in expected-failure files
+export const PASS = 'built-ins/Temporal/Fixture/pass.js';
+export const PASS_STRICT_ONLY = 'built-ins/Temporal/Fixture/pass-strict-only.js';
+export const FAIL = 'built-ins/Temporal/Fixture/fail.js';
+export const FAIL_IN_STRICT_MODE = 'built-ins/Temporal/Fixture/fail-in-strict-mode.js';
+
+/**
+ * Creates a temporary directory, which is removed after the tests of the file.
+ *
+ * @param {import('node:test').after} after
+ */
+export function createTempDir(after) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'temporal-test262-unit-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
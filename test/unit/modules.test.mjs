@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixtureOptions } from './fixture.mjs';
+import path from 'node:path';
+import { runTest262Async } from '../../index.mjs';
+
+// Runs the tests, and returns the name, status, and error of each, in the order
+// of the run
+async function runTests(options) {
+  const records = [];
+  await runTest262Async({
+    ...fixtureOptions,
+    workers: 1,
+    reporters: [{ testResult: (record) => records.push(record) }],
+    ...options
+  });
+  return records.sort((a, b) => a.index - b.index).map(({ name, status, error }) => [name, status, error]);
+}
+
+describe('import()', () => {
+  it('loads modules into module tests', async () => {
+    assert.deepEqual(await runTests({ testGlobs: ['Module/*'] }), [
+      ['built-ins/Temporal/Module/dynamic-import-async.js', 'pass', undefined],
+      ['built-ins/Temporal/Module/dynamic-import.js', 'pass', undefined]
+    ]);
+  });
+
+  it('loads modules into a module polyfill, for each test', async () => {
+    const polyfillCodeFile = path.join(path.dirname(fixtureOptions.polyfillCodeFile), 'polyfill.mjs');
+    assert.deepEqual(await runTests({ polyfillCodeFile, polyfillIsModule: true, testGlobs: ['Fixture/pass.js'] }), [
+      ['built-ins/Temporal/Fixture/pass.js', 'pass', undefined],
+      ['built-ins/Temporal/Fixture/pass.js (strict mode)', 'pass', undefined]
+    ]);
+  });
+});
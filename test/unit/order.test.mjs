@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { compareTestPaths, getShardIndex, shuffle, validateOrder } from '../../lib/order.mjs';
+import { describe, it } from 'node:test';
+import { EventEmitter } from 'node:events';
+import { FAIL, FAIL_IN_STRICT_MODE, fixtureOptions, PASS, PASS_STRICT_ONLY } from './fixture.mjs';
+import { InvalidOptionError } from '../../lib/errors.mjs';
+import runTest262 from '../../index.mjs';
+
+// Runs the fixture's tests, and returns the names of the test runs in the
+// order in which they started, and the summary
+function runFixture(options) {
+  const events = new EventEmitter();
+  const started = [];
+  let summary;
+  events.on('testStart', ({ name }) => started.push(name));
+  events.on('runEnd', (data) => summary = data);
+  runTest262({ ...fixtureOptions, ...options, events });
+  return { started, summary };
+}
+
+describe('validateOrder', () => {
+  it('accepts shards from 1 to the total, and 32-bit unsigned seeds', () => {
+    validateOrder({});
+    validateOrder({ shard: { index: 1, total: 1 } });
+    validateOrder({ shard: { index: 4, total: 4 }, seed: 0 });
+    validateOrder({ seed: 2 ** 32 - 1 });
+  });
+
+  for (const shard of [{ index: 0, total: 2 }, { index: 3, total: 2 }, { index: 1, total: 0 }, { index: 1.5, total: 2 }, { index: 1 }]) {
+    it(`rejects shard ${shard.index}/${shard.total}`, () => {
+      assert.throws(() => validateOrder({ shard }), InvalidOptionError);
+    });
+  }
+
+  for (const seed of [-1, 2 ** 32, 1.5, NaN]) {
+    it(`rejects seed ${seed}`, () => {
+      assert.throws(() => validateOrder({ seed }), InvalidOptionError);
+    });
+  }
+});
+
+describe('getShardIndex', () => {
+  // If these change, every CI job that uses sharding runs a different set of
+  // tests than before
+  it('assigns the same shard to a path as in earlier versions', () => {
+    assert.equal(getShardIndex(PASS, 3), 2);
+    assert.equal(getShardIndex(PASS_STRICT_ONLY, 3), 2);
+    assert.equal(getShardIndex(FAIL, 3), 3);
+    assert.equal(getShardIndex(FAIL_IN_STRICT_MODE, 3), 2);
+    assert.equal(getShardIndex('built-ins/Temporal/Duration/compare/basic.js', 4), 4);
+  });
+
+  it('returns a shard from 1 to the total', () => {
+    for (let total = 1; total <= 8; total++) {
+      for (const testRelPath of [PASS, PASS_STRICT_ONLY, FAIL, FAIL_IN_STRICT_MODE]) {
+        const index = getShardIndex(testRelPath, total);
+        assert.ok(index >= 1 && index <= total, `${testRelPath} in shard ${index} of ${total}`);
+      }
+    }
+  });
+
+  it('runs each test run in exactly one shard, with both modes of a test in the same one', () => {
+    const { summary: fullRun } = runFixture({});
+    const shardRecords = [1, 2, 3].map((index) => runFixture({ shard: { index, total: 3 } }).summary.records);
+    const names = shardRecords.flat().map(({ name }) => name).sort();
+    assert.deepEqual(names, fullRun.records.map(({ name }) => name).sort());
+
+    shardRecords.forEach((records, shardIndex) => {
+      for (const { path } of records) assert.equal(getShardIndex(path, 3), shardIndex + 1);
+    });
+  });
+});
+
+describe('compareTestPaths', () => {
+  it('sorts by code unit, regardless of locale', () => {
+    const paths = ['a/b.js', 'a-b.js', 'B.js', 'a/B.js', 'a.js'];
+    assert.deepEqual(paths.sort(compareTestPaths), ['B.js', 'a-b.js', 'a.js', 'a/B.js', 'a/b.js']);
+  });
+});
+
+describe('shuffle', () => {
+  // If these change, seeds printed by earlier versions no longer reproduce
+  // the order of a run
+  it('gives the same order for a seed as in earlier versions', () => {
+    const range = () => [...Array(10).keys()];
+    assert.deepEqual(shuffle(range(), 42), [0, 7, 3, 5, 2, 1, 8, 9, 4, 6]);
+    assert.deepEqual(shuffle(range(), 0), [3, 8, 6, 4, 5, 9, 7, 1, 0, 2]);
+    assert.deepEqual(shuffle(range(), 2 ** 32 - 1), [3, 0, 9, 4, 2, 7, 6, 5, 1, 8]);
+  });
+
+  it('shuffles in place, keeping all items', () => {
+    const array = ['a', 'b', 'c', 'd', 'e'];
+    assert.equal(shuffle(array, 1), array);
+    assert.deepEqual([...array].sort(), ['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('runs the tests in the same order for the same seed, and reports them in path order', () => {
+    const first = runFixture({ seed: 7 });
+    const second = runFixture({ seed: 7 });
+    assert.deepEqual(second.started, first.started);
+    assert.equal(first.summary.seed, 7);
+
+    const sorted = runFixture({});
+    assert.notDeepEqual(first.started, sorted.started);
+    assert.deepEqual(first.summary.records.map(({ name }) => name), sorted.started);
+  });
+
+  it('reproduces a random order from the seed in the summary', () => {
+    const { started, summary } = runFixture({ randomOrder: true });
+    assert.equal(typeof summary.seed, 'number');
+    assert.deepEqual(runFixture({ seed: summary.seed }).started, started);
+  });
+});